@@ -1,31 +1,92 @@
 import path from 'node:path';
 import fs from 'node:fs';
 import process from 'node:process';
+import {parseArgs} from 'node:util';
 import sharp from 'sharp';
 
-// let your script
-const inputPath = process.argv[2];
+// The plugin calls this script with (protocol version 1):
+//   --protocol 1 --input <path> --output <path> --format <webp|avif|jpeg|png> --quality <1-100>
+//   --metadata <strip|keep|strip-location|keep-copyright> [--max-width <px>] [--max-height <px>] [extra args]
+// and reads a JSON result from the last line of stdout.
+//
+// Legacy mode (plugin setting "Script protocol: Legacy") only passes the input path,
+// and expects a WebP `<name>.temp` file next to the original.
+const isLegacy = !process.argv[2]?.startsWith('--');
 
-if (!inputPath || !fs.existsSync(inputPath)) {
-	throw new Error('Image file does not exist:', inputPath);
-}
+const {values: options} = isLegacy
+	? {
+			values: {
+				input: process.argv[2],
+				output: process.argv[2]?.replace(path.extname(process.argv[2]), '.temp'),
+				format: 'webp',
+				quality: '70',
+			},
+		}
+	: parseArgs({
+			options: {
+				protocol: {type: 'string'},
+				input: {type: 'string'},
+				output: {type: 'string'},
+				format: {type: 'string', default: 'webp'},
+				quality: {type: 'string', default: '70'},
+				metadata: {type: 'string', default: 'strip'},
+				'max-width': {type: 'string'},
+				'max-height': {type: 'string'},
+				// Your own extra args, e.g. `--effort 6`
+				effort: {type: 'string'},
+			},
+			// Ignore extra args this script does not know about
+			strict: false,
+		});
 
-const extension = path.extname(inputPath);
+function fail(error) {
+	console.log(JSON.stringify({ok: false, error: String(error)}));
+	process.exit(1);
+}
 
-// The only thing that matters, is that you create your compressed image like the following:
-// (1) same directory as original image
-// (2) same filename as original image
-// (3) replace extension with `.temp`
-// This is how the plugin identifies the new compressed image, and handles accordingly
-const outputPath = inputPath.replace(extension, `.temp`);
+if (!options.input || !fs.existsSync(options.input)) {
+	fail(`Image file does not exist: ${options.input}`);
+}
 
 try {
 	// I suggest using npm's `sharp`, but use whatever compression method/package you like
 	// it's also up to you to tweak the configurations
 	// e.g. quality, lossless/lossful, etc.
-	sharp(inputPath).webp({quality: 70}).toFile(outputPath);
+	const maxWidth = Number(options['max-width']) || undefined;
+	const maxHeight = Number(options['max-height']) || undefined;
+	const image = sharp(options.input)
+		// Apply the EXIF orientation before any metadata is stripped
+		.rotate()
+		// Only ever downscale, keeping the aspect ratio
+		.resize({
+			width: maxWidth,
+			height: maxHeight,
+			fit: 'inside',
+			withoutEnlargement: true,
+		})
+		.toFormat(options.format, {
+			quality: Number(options.quality),
+			...(options.effort && {effort: Number(options.effort)}),
+		});
+	// sharp strips all metadata by default. The plugin removes the location,
+	// or all but the copyright, from what is kept here
+	if (options.metadata && options.metadata !== 'strip') {
+		image.keepMetadata();
+	}
+
+	const info = await image.toFile(options.output);
 
-	console.log('Image compressed:', outputPath);
+	console.log(
+		JSON.stringify({
+			ok: true,
+			output: options.output,
+			format: info.format,
+			width: info.width,
+			height: info.height,
+			inputBytes: fs.statSync(options.input).size,
+			outputBytes: info.size,
+		}),
+	);
 } catch (error) {
-	console.error('Compression error:', error);
+	fail(error);
 }
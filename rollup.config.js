@@ -1,3 +1,4 @@
+import {readFile} from 'node:fs/promises';
 import process from 'node:process';
 import commonjs from '@rollup/plugin-commonjs';
 import typescript from '@rollup/plugin-typescript';
@@ -11,6 +12,26 @@ const BUILD_DIR = 'build';
 /* ------------------------------------ - ----------------------------------- */
 
 const isProduction = process.env.BUILD === 'production';
+
+// Obsidian only loads main.js, so WebAssembly binaries are inlined as base64
+const WASM_SUFFIX = '.wasm?base64';
+const inlineWasm = () => ({
+	name: 'inline-wasm',
+	async resolveId(source, importer) {
+		if (!source.endsWith(WASM_SUFFIX)) return null;
+		const resolved = await this.resolve(source.replace(/\?base64$/, ''), importer, {
+			skipSelf: true,
+		});
+		return resolved && `${resolved.id}?base64`;
+	},
+	async load(id) {
+		if (!id.endsWith(WASM_SUFFIX)) return null;
+		const base64 = (await readFile(id.replace(/\?base64$/, ''))).toString(
+			'base64',
+		);
+		return `export default ${JSON.stringify(base64)};`;
+	},
+});
 const OUT_DIR = isProduction ? BUILD_DIR : TEST_VAULT_PLUGIN_DIR;
 
 const banner = `/*
@@ -28,9 +49,12 @@ const jsConfig = {
 		format: 'cjs',
 		sourcemapExcludeSources: isProduction,
 		exports: 'default',
+		// Lazy node imports (desktop only) must become `require`, not `import()`
+		dynamicImportInCjs: false,
 		banner: isProduction ? banner : undefined,
 	},
 	plugins: [
+		inlineWasm(),
 		nodeResolve({preferBuiltins: true}),
 		typescript({
 			sourceMap: !isProduction,
@@ -0,0 +1,59 @@
+/*
+ * Stand-ins for the runtime parts of `obsidian` the tested modules import.
+ * The package itself only ships types, the app provides the rest.
+ */
+
+export class TAbstractFile {
+	parent: TFolder | undefined = undefined;
+	name: string;
+
+	constructor(public path: string) {
+		this.name = path.split('/').pop() ?? path;
+	}
+}
+
+export class TFolder extends TAbstractFile {
+	children: TAbstractFile[] = [];
+
+	isRoot(): boolean {
+		return this.path === '/';
+	}
+}
+
+export class TFile extends TAbstractFile {
+	basename: string;
+	extension: string;
+	stat = {ctime: 0, mtime: 0, size: 0};
+
+	constructor(path: string) {
+		super(path);
+		const dot = this.name.lastIndexOf('.');
+		this.basename = dot > 0 ? this.name.slice(0, dot) : this.name;
+		this.extension = dot > 0 ? this.name.slice(dot + 1) : '';
+	}
+}
+
+export class Notice {
+	constructor(public message: string) {}
+}
+
+export class Modal {
+	constructor(public app: unknown) {}
+}
+
+export class FuzzySuggestModal<T> extends Modal {
+	declare item?: T;
+}
+
+export function normalizePath(path: string): string {
+	return path
+		.replaceAll(/[\\/]+/g, '/')
+		.replaceAll(/^\/|\/$/g, '')
+		.normalize('NFC');
+}
+
+/** The path part of a link, without its `#heading` or `#^block` */
+export function getLinkpath(linktext: string): string {
+	const index = linktext.indexOf('#');
+	return index === -1 ? linktext : linktext.slice(0, index);
+}
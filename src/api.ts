@@ -0,0 +1,49 @@
+import type {TFile, Workspace} from 'obsidian';
+import type {ProcessOverrides, ProcessResult} from './types.js';
+
+/**
+ * Workspace events for other plugins and scripts, e.g.
+ * `app.workspace.on('image-optimizer:processed', (file, result) => {})`.
+ * - `before-queue` (file, veto): a new image is about to be optimized automatically
+ * - `before-process` (file, veto): any image is about to be optimized, not
+ *   fired for dry runs like `planName`
+ * - `processed` (file, result): the image was optimized, `file` has its new path
+ * - `failed` (file, result): the image failed for good, after any retries
+ */
+export const OPTIMIZER_EVENTS = {
+	beforeQueue: 'image-optimizer:before-queue',
+	beforeProcess: 'image-optimizer:before-process',
+	processed: 'image-optimizer:processed',
+	failed: 'image-optimizer:failed',
+} as const;
+
+/** Passed to the `before-*` events, to leave the image alone */
+export type Veto = {
+	cancel: (reason?: string) => void;
+};
+
+export type OptimizeOptions = ProcessOverrides & {
+	// Suppress the notices, e.g. for scripted runs
+	quiet?: boolean;
+};
+
+export type OptimizeResult = ProcessResult & {
+	// Of the file before processing
+	oldPath: string;
+};
+
+/** Trigger a `before-*` event. Returns why a listener cancelled it, if one did */
+export function triggerVetoable(
+	workspace: Workspace,
+	name: string,
+	file: TFile,
+): string | undefined {
+	let reason: string | undefined;
+	const veto: Veto = {
+		cancel(cancelReason = 'Cancelled by another plugin') {
+			reason ??= cancelReason;
+		},
+	};
+	workspace.trigger(name, file, veto);
+	return reason;
+}
@@ -0,0 +1,210 @@
+import {type App, FuzzySuggestModal, Notice, type TFile} from 'obsidian';
+import type {JournalEntry, OperationJournal} from './journal.js';
+import {redirectNoteLinks} from './links.js';
+import {ensureFolder, getAvailableFilePath} from './utils.js';
+
+export type OriginalsPolicy = 'delete' | 'backup' | 'trash';
+
+export type BackupSettings = {
+	originalsPolicy: OriginalsPolicy;
+	backupFolder: string;
+};
+
+export function isInBackupFolder(
+	filePath: string,
+	settings: BackupSettings,
+): boolean {
+	const folder = settings.backupFolder.replaceAll(/^\/+|\/+$/g, '');
+	return Boolean(folder) && filePath.startsWith(`${folder}/`);
+}
+
+/** Deals with replaced originals, and puts them back on undo */
+export class BackupManager {
+	constructor(
+		private readonly app: App,
+		private readonly journal: OperationJournal,
+		private readonly getSettings: () => BackupSettings,
+	) {}
+
+	/**
+	 * Delete, trash or back up a replaced original. Backups mirror the
+	 * original path inside the backup folder, returning where it went.
+	 */
+	async disposeOriginal(
+		file: TFile,
+		originalPath: string,
+	): Promise<string | undefined> {
+		const {originalsPolicy, backupFolder} = this.getSettings();
+
+		if (originalsPolicy === 'trash') {
+			await this.app.vault.trash(file, true);
+			return undefined;
+		}
+
+		if (originalsPolicy === 'backup' && backupFolder) {
+			const backupPath = getAvailableFilePath(
+				this.app,
+				`${backupFolder}/${originalPath}`,
+			);
+			await ensureFolder(
+				this.app,
+				backupPath.split('/').slice(0, -1).join('/'),
+			);
+			// Plain vault rename, links must keep pointing at the new file
+			await this.app.vault.rename(file, backupPath);
+			return backupPath;
+		}
+
+		await this.app.vault.delete(file);
+		return undefined;
+	}
+
+	/** Entries that can still be restored, newest first */
+	getRestorableEntries(): JournalEntry[] {
+		return this.journal
+			.getEntries()
+			.filter(
+				(entry) =>
+					entry.backupPath &&
+					this.app.vault.getFileByPath(entry.backupPath),
+			);
+	}
+
+	/**
+	 * Move `entry` back to its old path. Links follow the rename back, then
+	 * the optimized file is swapped for the backed up original.
+	 */
+	async restore(entry: JournalEntry): Promise<void> {
+		if (entry.isMerge) {
+			await this.restoreMerged(entry);
+			return;
+		}
+
+		const optimized = this.app.vault.getFileByPath(entry.newPath);
+		const backup = entry.backupPath
+			? this.app.vault.getFileByPath(entry.backupPath)
+			: undefined;
+
+		if (!optimized) {
+			throw new Error(`${entry.newPath} no longer exists`);
+		}
+
+		const isSameFormat =
+			getExtension(entry.oldPath) === getExtension(entry.newPath);
+		if (!backup && !isSameFormat) {
+			// Nothing left to undo, so don't block older entries
+			await this.journal.remove(entry.id);
+			throw new Error(
+				`No backup of ${entry.oldPath}, it was deleted or trashed`,
+			);
+		}
+
+		if (
+			this.app.vault.getAbstractFileByPath(entry.oldPath) &&
+			entry.oldPath !== entry.newPath
+		) {
+			throw new Error(`${entry.oldPath} is taken by another file`);
+		}
+
+		await ensureFolder(
+			this.app,
+			entry.oldPath.split('/').slice(0, -1).join('/'),
+		);
+		await this.app.fileManager.renameFile(optimized, entry.oldPath);
+
+		if (backup) {
+			await this.app.vault.delete(optimized);
+			await this.app.vault.rename(backup, entry.oldPath);
+		}
+
+		await this.journal.remove(entry.id);
+	}
+
+	/** Restore `entry`, reporting the outcome in a Notice */
+	async restoreWithNotice(entry: JournalEntry): Promise<void> {
+		try {
+			await this.restore(entry);
+			const noteCount = entry.linkedNotes.length;
+			new Notice(
+				`Image Optimizer: Restored ${entry.oldPath}` +
+					(noteCount > 0
+						? `, links in ${noteCount} note(s) point to it again`
+						: ''),
+			);
+		} catch (error) {
+			new Notice(
+				`Image Optimizer: Could not restore ${entry.oldPath}. ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+	}
+
+	/**
+	 * Put a merged duplicate back from its backup, and point the links of
+	 * the notes that embedded it away from the image that was kept.
+	 */
+	private async restoreMerged(entry: JournalEntry): Promise<void> {
+		const backup = entry.backupPath
+			? this.app.vault.getFileByPath(entry.backupPath)
+			: undefined;
+		if (!backup) {
+			// Nothing left to undo, so don't block older entries
+			await this.journal.remove(entry.id);
+			throw new Error(
+				`No backup of ${entry.oldPath}, it was deleted or trashed. Its links still point at ${entry.newPath}`,
+			);
+		}
+
+		if (this.app.vault.getAbstractFileByPath(entry.oldPath)) {
+			throw new Error(`${entry.oldPath} is taken by another file`);
+		}
+
+		await ensureFolder(
+			this.app,
+			entry.oldPath.split('/').slice(0, -1).join('/'),
+		);
+		// Plain vault rename, the links are pointed back below
+		await this.app.vault.rename(backup, entry.oldPath);
+		await Promise.all(
+			entry.linkedNotes.map(async (notePath) => {
+				const note = this.app.vault.getFileByPath(notePath);
+				if (note) {
+					await redirectNoteLinks(
+						this.app,
+						note,
+						entry.newPath,
+						backup,
+					);
+				}
+			}),
+		);
+
+		await this.journal.remove(entry.id);
+	}
+}
+
+function getExtension(filePath: string): string {
+	return filePath.split('.').pop()?.toLowerCase() ?? '';
+}
+
+export class BackupSuggestModal extends FuzzySuggestModal<JournalEntry> {
+	constructor(
+		app: App,
+		private readonly entries: JournalEntry[],
+		private readonly onChoose: (entry: JournalEntry) => void,
+	) {
+		super(app);
+		this.setPlaceholder('Choose an image to restore');
+	}
+
+	getItems(): JournalEntry[] {
+		return this.entries;
+	}
+
+	getItemText(entry: JournalEntry): string {
+		return `${entry.newPath} ← ${entry.oldPath} (${new Date(entry.timestamp).toLocaleString()})`;
+	}
+
+	onChooseItem(entry: JournalEntry): void {
+		this.onChoose(entry);
+	}
+}
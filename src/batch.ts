@@ -0,0 +1,397 @@
+import {
+	type App,
+	FuzzySuggestModal,
+	Modal,
+	Notice,
+	type TFile,
+	TFolder,
+} from 'obsidian';
+import {reviewPlans} from './preview.js';
+import type {RuleChecker} from './rules.js';
+import type {
+	ImagePlanner,
+	PlanDecision,
+	ProcessFile,
+	ProcessPlan,
+	ProcessResult,
+	ProcessStatus,
+} from './types.js';
+
+type BatchSummary = {
+	total: number;
+	processed: number;
+	skipped: number;
+	// Prepared for the preview, but not written yet
+	planned: number;
+	failed: Array<{path: string; reason: string}>;
+	// Every checked image, in order, for the report
+	results: Array<{path: string; status: ProcessStatus; reason?: string}>;
+	isCancelled: boolean;
+};
+
+export class BatchOptimizer {
+	private isRunning = false;
+	private isCancelled = false;
+
+	constructor(
+		private readonly app: App,
+		private readonly processFile: ProcessFile,
+		private readonly rules: RuleChecker,
+		private readonly planner: ImagePlanner,
+	) {}
+
+	get running(): boolean {
+		return this.isRunning;
+	}
+
+	cancel() {
+		this.isCancelled = true;
+	}
+
+	/** All images inside `folder` (recursively), or the whole vault */
+	collectImages(folder?: TFolder): TFile[] {
+		const files = this.app.vault
+			.getFiles()
+			.filter((file) => this.rules.isAllowedExtension(file));
+		if (!folder || folder.isRoot()) return files;
+
+		const prefix = `${folder.path}/`;
+		return files.filter((file) => file.path.startsWith(prefix));
+	}
+
+	/**
+	 * Optimize `files` one by one. With `isPreview`, all files are compressed
+	 * and named first, and only written after review in the preview modal.
+	 */
+	async run(files: TFile[], label: string, isPreview = false): Promise<void> {
+		if (this.isRunning) {
+			new Notice('Image Optimizer: A batch run is already in progress');
+			return;
+		}
+
+		if (files.length === 0) {
+			new Notice(`Image Optimizer: No images found in ${label}`);
+			return;
+		}
+
+		this.isRunning = true;
+		this.isCancelled = false;
+
+		const summary: BatchSummary = {
+			total: files.length,
+			processed: 0,
+			skipped: 0,
+			planned: 0,
+			failed: [],
+			results: [],
+			isCancelled: false,
+		};
+		const progress = new Notice('', 0);
+		let title = isPreview
+			? `Preparing preview of ${label}`
+			: `Optimizing ${label}`;
+		const render = () => {
+			progress.setMessage(this.renderProgress(summary, title));
+		};
+
+		render();
+
+		try {
+			if (isPreview) {
+				const plans = await this.planAll(files, summary, render);
+				title = `Optimizing ${label}`;
+				render();
+				await this.commitAll(plans, summary, render);
+			} else {
+				await this.processAll(files, summary, render);
+			}
+		} finally {
+			this.isRunning = false;
+			progress.hide();
+		}
+
+		new BatchReportModal(this.app, summary, label).open();
+	}
+
+	private async processAll(
+		files: TFile[],
+		summary: BatchSummary,
+		render: () => void,
+	) {
+		await this.forEachUntilCancelled(files, summary, async (file) => {
+			const skipReason = await this.getSkipReason(file);
+			if (skipReason) {
+				this.addSkipped(summary, file.path, skipReason);
+			} else {
+				await this.track(summary, file.path, async () =>
+					this.processFile(file, {
+						quiet: true,
+						skipMetadataWait: true,
+					}),
+				);
+			}
+
+			render();
+		});
+	}
+
+	/** Compress and name every file, without writing anything yet */
+	private async planAll(
+		files: TFile[],
+		summary: BatchSummary,
+		render: () => void,
+	): Promise<ProcessPlan[]> {
+		const plans: ProcessPlan[] = [];
+
+		// Plans skip the queue, they are reviewed together before committing
+		await this.forEachUntilCancelled(files, summary, async (file) => {
+			const skipReason = await this.getSkipReason(file);
+			if (skipReason) {
+				this.addSkipped(summary, file.path, skipReason);
+			} else {
+				await this.track(summary, file.path, async () => {
+					const plan = await this.planner.plan(file, {
+						quiet: true,
+						skipMetadataWait: true,
+					});
+					if ('status' in plan) return plan;
+
+					plans.push(plan);
+					summary.planned++;
+					return undefined;
+				});
+			}
+
+			render();
+		});
+
+		return plans;
+	}
+
+	/** Review the plans in the preview modal, then write the approved ones */
+	private async commitAll(
+		plans: ProcessPlan[],
+		summary: BatchSummary,
+		render: () => void,
+	) {
+		const decisions =
+			plans.length > 0 && !this.isCancelled
+				? await reviewPlans(this.app, plans)
+				: plans.map((): PlanDecision => ({isApproved: false}));
+		const remaining = new Set(plans);
+
+		await this.forEachUntilCancelled(
+			[...plans.entries()],
+			summary,
+			async ([index, plan]) => {
+				remaining.delete(plan);
+				summary.planned--;
+
+				const decision = decisions[index];
+				if (decision.isApproved) {
+					await this.track(summary, plan.file.path, async () =>
+						this.planner.commit(
+							{...plan, basename: decision.basename},
+							{quiet: true},
+						),
+					);
+				} else {
+					await this.planner.discard(plan);
+					this.addSkipped(
+						summary,
+						plan.file.path,
+						'Skipped in preview',
+					);
+				}
+
+				render();
+			},
+		);
+
+		// Clean up the compressed output of plans left after a cancel
+		await Promise.all(
+			[...remaining].map(async (plan) => {
+				summary.planned--;
+				return this.planner.discard(plan);
+			}),
+		);
+	}
+
+	/** Why the rules exclude `file`, undefined when they allow it */
+	private async getSkipReason(file: TFile): Promise<string | undefined> {
+		// Already optimized files are skipped by the pipeline itself
+		const rules = await this.rules.check(file);
+		return rules.isAllowed ? undefined : rules.reason;
+	}
+
+	private addSkipped(summary: BatchSummary, path: string, reason: string) {
+		summary.skipped++;
+		summary.results.push({path, status: 'skipped', reason});
+	}
+
+	/** Count the result of `task` in `summary`, undefined meaning not done yet */
+	private async track(
+		summary: BatchSummary,
+		path: string,
+		task: () => Promise<ProcessResult | undefined>,
+	) {
+		try {
+			const result = await task();
+			if (result) {
+				summary.results.push({
+					path,
+					status: result.status,
+					reason: result.reason,
+				});
+			}
+
+			if (result?.status === 'processed') summary.processed++;
+			if (result?.status === 'skipped') summary.skipped++;
+			if (result?.status === 'failed') {
+				summary.failed.push({
+					path,
+					reason: result.reason ?? 'Unknown error',
+				});
+			}
+		} catch (error) {
+			console.error('Error during batch optimization:', error);
+			const reason =
+				error instanceof Error ? error.message : String(error);
+			summary.failed.push({path, reason});
+			summary.results.push({path, status: 'failed', reason});
+		}
+	}
+
+	/** Handle one item at a time, so a cancel stops between items */
+	private async forEachUntilCancelled<T>(
+		items: T[],
+		summary: BatchSummary,
+		handle: (item: T) => Promise<void>,
+	): Promise<void> {
+		const next = async (index: number): Promise<void> => {
+			if (index >= items.length) return;
+			if (this.isCancelled) {
+				summary.isCancelled = true;
+				return;
+			}
+
+			await handle(items[index]);
+			return next(index + 1);
+		};
+
+		await next(0);
+	}
+
+	private renderProgress(
+		summary: BatchSummary,
+		title: string,
+	): DocumentFragment {
+		const done =
+			summary.processed +
+			summary.skipped +
+			summary.planned +
+			summary.failed.length;
+		const fragment = createFragment();
+		fragment.createDiv({
+			text: `Image Optimizer: ${title} (${done}/${summary.total})`,
+		});
+		fragment.createDiv({
+			text: `Done: ${summary.processed} · Skipped: ${summary.skipped} · Failed: ${summary.failed.length}`,
+		});
+
+		const cancelButton = fragment.createEl('button', {
+			text: this.isCancelled ? 'Cancelling...' : 'Cancel',
+		});
+		cancelButton.disabled = this.isCancelled;
+		cancelButton.addEventListener('click', (event) => {
+			// Keep the notice open, it hides itself once the current file is done
+			event.stopPropagation();
+			this.cancel();
+			cancelButton.setText('Cancelling...');
+			cancelButton.disabled = true;
+		});
+
+		return fragment;
+	}
+}
+
+export class FolderSuggestModal extends FuzzySuggestModal<TFolder> {
+	constructor(
+		app: App,
+		private readonly onChoose: (folder: TFolder) => void,
+	) {
+		super(app);
+		this.setPlaceholder('Choose a folder to optimize');
+	}
+
+	getItems(): TFolder[] {
+		return this.app.vault
+			.getAllLoadedFiles()
+			.filter((file): file is TFolder => file instanceof TFolder);
+	}
+
+	getItemText(folder: TFolder): string {
+		return folder.isRoot() ? '/' : folder.path;
+	}
+
+	onChooseItem(folder: TFolder): void {
+		this.onChoose(folder);
+	}
+}
+
+const STATUS_LABELS: Record<ProcessStatus, string> = {
+	processed: 'Optimized',
+	skipped: 'Skipped',
+	failed: 'Failed',
+};
+
+class BatchReportModal extends Modal {
+	constructor(
+		app: App,
+		private readonly summary: BatchSummary,
+		private readonly label: string,
+	) {
+		super(app);
+	}
+
+	onOpen() {
+		const {contentEl, summary} = this;
+		const done =
+			summary.processed + summary.skipped + summary.failed.length;
+
+		this.titleEl.setText(
+			summary.isCancelled
+				? `Optimization of ${this.label} cancelled`
+				: `Optimized ${this.label}`,
+		);
+
+		const list = contentEl.createEl('ul');
+		list.createEl('li', {text: `Checked: ${done} of ${summary.total}`});
+		list.createEl('li', {text: `Optimized: ${summary.processed}`});
+		list.createEl('li', {text: `Skipped: ${summary.skipped}`});
+		list.createEl('li', {text: `Failed: ${summary.failed.length}`});
+
+		if (summary.failed.length > 0) {
+			contentEl.createEl('h4', {text: 'Failures'});
+			const failedList = contentEl.createEl('ul');
+			for (const {path, reason} of summary.failed) {
+				failedList.createEl('li', {text: `${path}: ${reason}`});
+			}
+		}
+
+		if (summary.results.length > 0) {
+			const details = contentEl.createEl('details');
+			details.createEl('summary', {text: 'All images'});
+			const resultList = details.createEl('ul');
+			for (const {path, status, reason} of summary.results) {
+				resultList.createEl('li', {
+					text: `${path}: ${STATUS_LABELS[status]}${reason ? ` (${reason})` : ''}`,
+				});
+			}
+		}
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
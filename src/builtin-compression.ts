@@ -0,0 +1,179 @@
+import encodeJpeg, {init as initJpegEncoder} from '@jsquash/jpeg/encode.js';
+import encodePng, {init as initPngEncoder} from '@jsquash/png/encode.js';
+import webpEncoderFactory from '@jsquash/webp/codec/enc/webp_enc.js';
+import {defaultOptions as webpDefaultOptions} from '@jsquash/webp/meta.js';
+import {initEmscriptenModule} from '@jsquash/webp/utils.js';
+import jpegEncoderWasm from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm?base64';
+import pngEncoderWasm from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm?base64';
+import webpEncoderWasm from '@jsquash/webp/codec/enc/webp_enc.wasm?base64';
+import type {OutputFormat} from './compression.js';
+
+/*
+ * In-process compression with the Squoosh encoders, compiled to WebAssembly.
+ * Decoding uses the browser's own decoders, so it also runs on mobile where
+ * there is no `child_process` to run an external script.
+ */
+
+export type BuiltinResult =
+	| {
+			ok: true;
+			data: ArrayBuffer;
+			format: OutputFormat;
+			width: number;
+			height: number;
+	  }
+	| {ok: false; error: string};
+
+type Encoder = (image: ImageData, quality: number) => Promise<ArrayBuffer>;
+
+export type BuiltinOptions = {
+	format: OutputFormat;
+	quality: number;
+	// Downscale to fit, 0 for no limit
+	maxWidth: number;
+	maxHeight: number;
+};
+
+const MIME_TYPES: Record<string, string> = {
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp',
+	gif: 'image/gif',
+	avif: 'image/avif',
+};
+
+async function compileWasm(base64: string): Promise<WebAssembly.Module> {
+	// The window's `atob` is the one base64 decoder on desktop and mobile alike
+	const bytes = Uint8Array.from(
+		activeWindow.atob(base64),
+		(char) => char.codePointAt(0)!,
+	);
+	return WebAssembly.compile(bytes);
+}
+
+// Encoders are only compiled the first time they are needed
+const encoders: Partial<Record<OutputFormat, Promise<Encoder>>> = {};
+
+const encoderLoaders: Partial<Record<OutputFormat, () => Promise<Encoder>>> = {
+	async webp() {
+		// The package's own init picks a SIMD build, which is not inlined
+		const module = await initEmscriptenModule(
+			webpEncoderFactory,
+			await compileWasm(webpEncoderWasm),
+		);
+		return async (image, quality) => {
+			const result = module.encode(
+				image.data,
+				image.width,
+				image.height,
+				{
+					...webpDefaultOptions,
+					quality,
+				},
+			);
+			if (!result) throw new Error('WebP encoding error');
+			return result.buffer as ArrayBuffer;
+		};
+	},
+	async jpeg() {
+		await initJpegEncoder(await compileWasm(jpegEncoderWasm));
+		return async (image, quality) => encodeJpeg(image, {quality});
+	},
+	async png() {
+		await initPngEncoder(await compileWasm(pngEncoderWasm));
+		// Lossless, so there is no quality to pass on
+		return async (image) => encodePng(image);
+	},
+};
+
+async function getEncoder(format: OutputFormat): Promise<Encoder | undefined> {
+	const load = encoderLoaders[format];
+	if (!load) return undefined;
+
+	encoders[format] ??= load();
+	return encoders[format];
+}
+
+/** Scale factor to fit within the maximum size, never enlarging */
+function getScale(width: number, height: number, options: BuiltinOptions) {
+	return Math.min(
+		1,
+		options.maxWidth > 0 ? options.maxWidth / width : 1,
+		options.maxHeight > 0 ? options.maxHeight / height : 1,
+	);
+}
+
+async function decode(
+	buffer: ArrayBuffer,
+	extension: string,
+	options: BuiltinOptions,
+): Promise<ImageData> {
+	const blob = new Blob([buffer], {
+		type: MIME_TYPES[extension.toLowerCase()],
+	});
+	// A closed bitmap reports a size of 0, so read it first. Both are rotated
+	// by their EXIF orientation, which the metadata policy then resets
+	const original = await createImageBitmap(blob, {
+		imageOrientation: 'from-image',
+	});
+	const {width, height} = original;
+	original.close();
+	const scale = getScale(width, height, options);
+
+	const bitmap = await createImageBitmap(blob, {
+		imageOrientation: 'from-image',
+		premultiplyAlpha: 'none',
+		colorSpaceConversion: 'none',
+		...(scale < 1 && {
+			resizeWidth: Math.round(width * scale),
+			resizeHeight: Math.round(height * scale),
+			resizeQuality: 'high',
+		}),
+	});
+
+	const canvas = document.createElement('canvas');
+	canvas.width = bitmap.width;
+	canvas.height = bitmap.height;
+	const context = canvas.getContext('2d');
+	if (!context) throw new Error('Canvas is not available');
+
+	context.drawImage(bitmap, 0, 0);
+	bitmap.close();
+
+	return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+export async function compressInProcess(
+	buffer: ArrayBuffer,
+	extension: string,
+	options: BuiltinOptions,
+): Promise<BuiltinResult> {
+	const {format, quality} = options;
+	try {
+		const encoder = await getEncoder(format);
+		if (!encoder) {
+			return {
+				ok: false,
+				error: `The built-in backend cannot encode ${format.toUpperCase()}, use the script backend`,
+			};
+		}
+
+		const image = await decode(buffer, extension, options);
+		const data = await encoder(image, quality);
+
+		return {
+			ok: true,
+			data,
+			format,
+			width: image.width,
+			height: image.height,
+		};
+	} catch (error) {
+		console.error('Error during built-in compression:', error);
+		return {
+			ok: false,
+			error: error instanceof Error ? error.message : String(error),
+		};
+	}
+}
@@ -0,0 +1,317 @@
+import {getImageFormat} from './image-size.js';
+import type {MetadataSettings} from './metadata.js';
+import {formatSize} from './utils.js';
+
+/**
+ * Version of the script contract, passed as `--protocol`.
+ *
+ * Version 1 passes `--input`, `--output`, `--format`, `--quality`,
+ * `--metadata`, when set `--max-width` and `--max-height`, and the user's
+ * extra args. It expects a JSON result on the last line of stdout.
+ * Legacy scripts only get the input path, and write `<name>.temp`, in any
+ * format the plugin recognises from the file.
+ */
+export const PROTOCOL_VERSION = 1;
+
+export type CompressionBackend = 'builtin' | 'script';
+
+export type ScriptProtocol = 'legacy' | 'v1';
+
+export type OutputFormat = 'webp' | 'avif' | 'jpeg' | 'png';
+
+// What a source extension is converted to, `default` being the output format
+export type FormatRule = 'default' | 'keep' | OutputFormat;
+
+export type FormatSettings = {
+	outputFormat: OutputFormat;
+	formatRules: Record<string, FormatRule>;
+	isTransparentPngKept: boolean;
+};
+
+export type CompressionPolicy = {
+	// Leave smaller originals uncompressed, 0 to compress everything
+	skipCompressionBelowKb: number;
+	// Keep the original when the output saves less, 0 to keep any saving
+	minSavingsPercent: number;
+	minSavingsKb: number;
+	// Downscale larger images before encoding, 0 for no limit
+	maxWidth: number;
+	maxHeight: number;
+};
+
+export type CompressionSettings = FormatSettings &
+	CompressionPolicy &
+	MetadataSettings & {
+		compressionBackend: CompressionBackend;
+		runtimeAbsolutePath: string;
+		compressionScriptAbsolutePath: string;
+		scriptProtocol: ScriptProtocol;
+		quality: number;
+		extraArgs: string;
+		timeoutSeconds: number;
+	};
+
+export type ScriptResult =
+	| {
+			ok: true;
+			output: string;
+			format: string;
+			width?: number;
+			height?: number;
+			inputBytes?: number;
+			outputBytes?: number;
+	  }
+	| {ok: false; error: string};
+
+export function formatToExtension(format: string): string {
+	const extension = format.toLowerCase();
+	return extension === 'jpeg' ? 'jpg' : extension;
+}
+
+/** Dropdown labels of the formats the backend can encode */
+export function getFormatOptions(
+	backend: CompressionBackend,
+): Record<string, string> {
+	return {
+		webp: 'WebP',
+		// No AVIF encoder is bundled
+		...(backend === 'script' && {avif: 'AVIF'}),
+		jpeg: 'JPEG',
+		png: 'PNG',
+	};
+}
+
+/**
+ * Point the default format and format rules the backend cannot encode at
+ * WebP, in place. Returns what was changed, e.g. `.png rule`.
+ */
+export function resetUnsupportedFormats(
+	settings: FormatSettings,
+	backend: CompressionBackend,
+): string[] {
+	const formats = getFormatOptions(backend);
+	const changed: string[] = [];
+	if (!(settings.outputFormat in formats)) {
+		settings.outputFormat = 'webp';
+		changed.push('default output format');
+	}
+
+	for (const [extension, rule] of Object.entries(settings.formatRules)) {
+		if (rule !== 'default' && rule !== 'keep' && !(rule in formats)) {
+			settings.formatRules[extension] = 'webp';
+			changed.push(`.${extension} rule`);
+		}
+	}
+
+	return changed;
+}
+
+/** Format of a source extension, undefined when it cannot be encoded */
+export function extensionToFormat(extension: string): OutputFormat | undefined {
+	const format = extension.toLowerCase();
+	if (format === 'jpg' || format === 'jpeg') return 'jpeg';
+	if (format === 'png' || format === 'webp' || format === 'avif') {
+		return format;
+	}
+
+	return undefined;
+}
+
+/**
+ * Target format for a source extension, following the format rules.
+ * Undefined when the original format is kept but cannot be encoded, e.g. GIF.
+ */
+export function resolveOutputFormat(
+	extension: string,
+	settings: FormatSettings,
+	hasTransparency = false,
+): OutputFormat | undefined {
+	const source = extension.toLowerCase();
+	if (source === 'png' && hasTransparency && settings.isTransparentPngKept) {
+		return 'png';
+	}
+
+	const rule = settings.formatRules[source] ?? 'default';
+	if (rule === 'default') return settings.outputFormat;
+	if (rule === 'keep') return extensionToFormat(source);
+
+	return rule;
+}
+
+/** Why the original should be kept instead of the compressed output, if so */
+export function checkSavings(
+	sizeBefore: number,
+	sizeAfter: number,
+	policy: CompressionPolicy,
+): string | undefined {
+	const saved = sizeBefore - sizeAfter;
+	if (saved <= 0) {
+		return `kept original, compressed was ${formatSize(-saved)} larger`;
+	}
+
+	const percent = (saved / sizeBefore) * 100;
+	if (percent < policy.minSavingsPercent) {
+		return `kept original, saved only ${percent.toFixed(1)}%`;
+	}
+
+	if (saved / 1024 < policy.minSavingsKb) {
+		return `kept original, saved only ${formatSize(saved)}`;
+	}
+
+	return undefined;
+}
+
+/** Split extra args on whitespace, keeping quoted values together */
+export function splitArguments(value: string): string[] {
+	return [...value.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(
+		([, doubleQuoted, singleQuoted, bare]) =>
+			doubleQuoted ?? singleQuoted ?? bare,
+	);
+}
+
+/** Last line of stdout that parses as a JSON object */
+export function parseScriptOutput(stdout: string): ScriptResult | undefined {
+	const lines = stdout.trim().split('\n').reverse();
+	for (const line of lines) {
+		try {
+			const parsed = JSON.parse(line.trim()) as unknown;
+			if (parsed && typeof parsed === 'object')
+				return parsed as ScriptResult;
+		} catch {}
+	}
+
+	return undefined;
+}
+
+function getErrorMessage(error: unknown): string {
+	if (!(error instanceof Error)) return String(error);
+
+	const {killed, stderr, stdout} = error as Error & {
+		killed?: boolean;
+		stderr?: string;
+		stdout?: string;
+	};
+	if (killed) return 'Compression script timed out';
+
+	// Scripts report their own failures as JSON, then exit with an error
+	const result = stdout ? parseScriptOutput(stdout) : undefined;
+	if (result && !result.ok && result.error) return result.error;
+
+	const message = stderr?.trim();
+	if (message) return message;
+
+	return error.message;
+}
+
+/** Arguments for the runtime: the script path, then the protocol's arguments */
+export function getScriptArguments(
+	settings: CompressionSettings,
+	inputPath: string,
+	outputPath: string,
+): string[] {
+	if (settings.scriptProtocol === 'legacy') {
+		return [settings.compressionScriptAbsolutePath, inputPath];
+	}
+
+	return [
+		settings.compressionScriptAbsolutePath,
+		'--protocol',
+		String(PROTOCOL_VERSION),
+		'--input',
+		inputPath,
+		'--output',
+		outputPath,
+		'--format',
+		settings.outputFormat,
+		'--quality',
+		String(settings.quality),
+		'--metadata',
+		settings.metadataPolicy,
+		...(settings.maxWidth > 0
+			? ['--max-width', String(settings.maxWidth)]
+			: []),
+		...(settings.maxHeight > 0
+			? ['--max-height', String(settings.maxHeight)]
+			: []),
+		...splitArguments(settings.extraArgs),
+	];
+}
+
+/**
+ * Run the external script on a vault file. Paths in and out are relative to
+ * the vault, the script itself sees absolute paths.
+ */
+export async function runCompressionScript(
+	settings: CompressionSettings,
+	basePath: string,
+	inputVaultPath: string,
+	outputVaultPath: string,
+): Promise<ScriptResult> {
+	// Node modules are loaded lazily, they don't exist on mobile
+	const [{execFile}, {promisify}, {default: path}, {readFile}] =
+		await Promise.all([
+			import('node:child_process'),
+			import('node:util'),
+			import('node:path'),
+			import('node:fs/promises'),
+		]);
+	const execFileAsync = promisify(execFile);
+	const inputPath = path.join(basePath, inputVaultPath);
+	const outputPath = path.join(basePath, outputVaultPath);
+
+	const isLegacy = settings.scriptProtocol === 'legacy';
+	const arguments_ = getScriptArguments(settings, inputPath, outputPath);
+
+	let stdout: string;
+	try {
+		({stdout} = await execFileAsync(
+			settings.runtimeAbsolutePath,
+			arguments_,
+			{
+				timeout: settings.timeoutSeconds * 1000,
+			},
+		));
+	} catch (error) {
+		console.error('Error during compression:', error);
+		return {ok: false, error: getErrorMessage(error)};
+	}
+
+	// Legacy scripts print nothing structured, the output tells its format
+	if (isLegacy) {
+		const data = await readFile(outputPath).catch(() => undefined);
+		const format = data && getImageFormat(new Uint8Array(data).buffer);
+		return format
+			? {ok: true, output: outputVaultPath, format}
+			: {
+					ok: false,
+					error: `Compression script wrote no image to ${outputVaultPath}`,
+				};
+	}
+
+	const result = parseScriptOutput(stdout);
+	if (!result) {
+		return {ok: false, error: 'Compression script printed no JSON result'};
+	}
+
+	if (!result.ok) return result;
+
+	const output = path
+		.relative(basePath, path.resolve(basePath, result.output))
+		.replaceAll('\\', '/');
+	if (output.startsWith('..')) {
+		return {
+			ok: false,
+			error: `Compressed file ${result.output} is outside the vault`,
+		};
+	}
+
+	// Renaming the output over the original would lose it
+	if (output === inputVaultPath) {
+		return {
+			ok: false,
+			error: 'Compression script reported the input file as its output',
+		};
+	}
+
+	return {...result, output};
+}
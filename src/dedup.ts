@@ -0,0 +1,257 @@
+import {type App, debounce, Modal, Notice, Setting, type TFile} from 'obsidian';
+import SparkMD5 from 'spark-md5';
+import {redirectLinks} from './links.js';
+import {JsonFile} from './storage.js';
+import {formatSize, getBacklinkPaths} from './utils.js';
+
+type IndexEntry = {
+	// Full MD5 hex digest of the file content
+	hash: string;
+	size: number;
+	mtime: number;
+	// Hash of the content when the plugin last named the file, to tell edits
+	namedHash?: string;
+};
+
+export function hashContent(buffer: ArrayBuffer): string {
+	return SparkMD5.ArrayBuffer.hash(buffer);
+}
+
+/**
+ * Content hash of vault images by path. Entries are trusted while the
+ * file's size and modification time are unchanged.
+ */
+export class HashIndex {
+	private entries = new Map<string, IndexEntry>();
+	private readonly file: JsonFile<Record<string, IndexEntry>>;
+	// Batch runs update many entries, write them once things settle
+	private readonly requestSave = debounce(
+		() => {
+			this.file
+				.write(Object.fromEntries(this.entries))
+				.catch((error: unknown) => {
+					console.error('Error saving hash index:', error);
+				});
+		},
+		2000,
+		true,
+	);
+
+	constructor(
+		private readonly app: App,
+		filePath: string,
+	) {
+		this.file = new JsonFile(app, filePath);
+	}
+
+	async load() {
+		this.entries = new Map(Object.entries((await this.file.read()) ?? {}));
+	}
+
+	/** Hash of `file`, from the index when still fresh */
+	async getHash(file: TFile): Promise<string> {
+		const entry = this.entries.get(file.path);
+		if (entry && this.isFresh(file, entry)) return entry.hash;
+
+		const hash = hashContent(await this.app.vault.readBinary(file));
+		this.set(file, hash);
+		return hash;
+	}
+
+	set(file: TFile, hash: string) {
+		this.entries.set(file.path, {
+			hash,
+			size: file.stat.size,
+			mtime: file.stat.mtime,
+			namedHash: this.entries.get(file.path)?.namedHash,
+		});
+		this.requestSave();
+	}
+
+	/** Index a file the plugin just wrote and named */
+	setNamed(file: TFile, hash: string) {
+		this.set(file, hash);
+		this.entries.get(file.path)!.namedHash = hash;
+	}
+
+	/** Whether the plugin wrote and named the file at `path` */
+	isNamed(path: string): boolean {
+		return this.entries.get(path)?.namedHash !== undefined;
+	}
+
+	/**
+	 * Whether the content changed since the plugin named the file, or
+	 * undefined for files it did not name
+	 */
+	async isEdited(file: TFile): Promise<boolean | undefined> {
+		const namedHash = this.entries.get(file.path)?.namedHash;
+		if (!namedHash) return undefined;
+
+		return (await this.getHash(file)) !== namedHash;
+	}
+
+	/** An indexed file other than `excludePath` with this content */
+	findByHash(hash: string, excludePath: string): TFile | undefined {
+		for (const [path, entry] of this.entries) {
+			if (entry.hash !== hash || path === excludePath) continue;
+
+			const file = this.app.vault.getFileByPath(path);
+			if (file && this.isFresh(file, entry)) return file;
+		}
+
+		return undefined;
+	}
+
+	rename(oldPath: string, newPath: string) {
+		const entry = this.entries.get(oldPath);
+		if (!entry) return;
+
+		this.entries.delete(oldPath);
+		this.entries.set(newPath, entry);
+		this.requestSave();
+	}
+
+	remove(path: string) {
+		if (this.entries.delete(path)) this.requestSave();
+	}
+
+	private isFresh(file: TFile, entry: IndexEntry): boolean {
+		return file.stat.size === entry.size && file.stat.mtime === entry.mtime;
+	}
+}
+
+/** Images with identical content, grouped, only groups of two or more */
+export async function findDuplicates(
+	index: HashIndex,
+	files: TFile[],
+	onProgress: (done: number) => void,
+): Promise<TFile[][]> {
+	const groups = new Map<string, TFile[]>();
+
+	// Use recursion to avoid 'await in loop', one file at a time
+	const hashNext = async (position: number): Promise<void> => {
+		if (position >= files.length) return;
+
+		const file = files[position];
+		const hash = await index.getHash(file);
+		groups.set(hash, [...(groups.get(hash) ?? []), file]);
+		onProgress(position + 1);
+
+		return hashNext(position + 1);
+	};
+
+	await hashNext(0);
+
+	return [...groups.values()].filter((group) => group.length > 1);
+}
+
+/**
+ * Point the links of every duplicate at `keeper`, then dispose of the
+ * duplicates. Returns how many notes were rewritten.
+ */
+export async function mergeDuplicates(
+	app: App,
+	keeper: TFile,
+	duplicates: TFile[],
+	// Called with the notes whose links now point at `keeper`
+	dispose: (file: TFile, linkedNotes: string[]) => Promise<unknown>,
+): Promise<number> {
+	// One at a time, duplicates may be linked from the same notes
+	const mergeNext = async (position: number): Promise<number> => {
+		if (position >= duplicates.length) return 0;
+
+		const duplicate = duplicates[position];
+		const notes = await redirectLinks(app, duplicate, keeper);
+		await dispose(duplicate, notes);
+
+		return notes.length + (await mergeNext(position + 1));
+	};
+
+	return mergeNext(0);
+}
+
+export class DuplicatesModal extends Modal {
+	constructor(
+		app: App,
+		private readonly groups: TFile[][],
+		private readonly onMerge: (
+			keeper: TFile,
+			duplicates: TFile[],
+		) => Promise<void>,
+	) {
+		super(app);
+	}
+
+	onOpen() {
+		const {contentEl, groups} = this;
+		const duplicateCount = groups.flat().length - groups.length;
+		this.titleEl.setText(
+			`Found ${duplicateCount} duplicate image(s) in ${groups.length} group(s)`,
+		);
+		contentEl.createEl('p', {
+			text: 'Pick the image to keep in each group. Links to the others are pointed at it, then the others are removed (following the replaced originals setting).',
+		});
+
+		for (const group of groups) {
+			this.renderGroup(contentEl, group);
+		}
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+
+	private renderGroup(containerElement: HTMLElement, group: TFile[]) {
+		const groupElement = containerElement.createDiv();
+		// Keep the most linked image by default, it needs the fewest rewrites
+		const linkCounts = new Map(
+			group.map((file) => [
+				file,
+				getBacklinkPaths(this.app, file).length,
+			]),
+		);
+		let [keeper] = group;
+		for (const file of group) {
+			if (linkCounts.get(file)! > linkCounts.get(keeper)!) keeper = file;
+		}
+
+		new Setting(groupElement)
+			.setName(
+				`${group.length} copies, ${formatSize(group[0].stat.size)}`,
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(
+						Object.fromEntries(
+							group.map((file) => [
+								file.path,
+								`Keep ${file.path} (${linkCounts.get(file)} note(s))`,
+							]),
+						),
+					)
+					.setValue(keeper.path)
+					.onChange((value) => {
+						keeper = group.find((file) => file.path === value)!;
+					}),
+			)
+			.addButton((button) =>
+				button
+					.setButtonText('Merge')
+					.setCta()
+					.onClick(async () => {
+						button.setDisabled(true);
+						await this.onMerge(
+							keeper,
+							group.filter((file) => file !== keeper),
+						);
+						groupElement.remove();
+						if (!this.contentEl.querySelector('.setting-item')) {
+							new Notice(
+								'Image Optimizer: All duplicates merged',
+							);
+							this.close();
+						}
+					}),
+			);
+	}
+}
@@ -0,0 +1,176 @@
+import {type App, getAllTags, normalizePath, type TFile} from 'obsidian';
+import {globToRegex} from './rules.js';
+
+export type DestinationSettings = {
+	// One `condition => folder` rule per line, the first match wins
+	destinationRules: string;
+};
+
+type Condition =
+	| {type: 'any'}
+	| {type: 'tag'; tag: string}
+	| {type: 'property'; key: string; value?: string}
+	| {type: 'folder'; pattern: RegExp};
+
+type DestinationRule = {condition: Condition; folder: string};
+
+/** What destinations are chosen by */
+export type DestinationSource = {
+	// Folder the image is in now, empty for the vault root
+	folderPath: string;
+	// The note embedding the image
+	note?: TFile;
+};
+
+function parseCondition(value: string): Condition | undefined {
+	if (value === '*') return {type: 'any'};
+
+	const [, type = '', argument = ''] = /^(\w+):(.+)$/.exec(value) ?? [];
+	switch (type.toLowerCase()) {
+		case 'tag': {
+			return {
+				type: 'tag',
+				tag: `#${argument.trim().replace(/^#/, '')}`.toLowerCase(),
+			};
+		}
+
+		case 'property': {
+			const [key, propertyValue] = argument.split('=', 2);
+			return {
+				type: 'property',
+				key: key.trim(),
+				value: propertyValue?.trim(),
+			};
+		}
+
+		case 'folder': {
+			return {type: 'folder', pattern: globToRegex(argument.trim())};
+		}
+
+		default: {
+			return undefined;
+		}
+	}
+}
+
+/** Rules from the setting, lines that are not valid rules are left out */
+function parseDestinationRules(value: string): DestinationRule[] {
+	return value.split('\n').flatMap((line) => {
+		const [condition, folder] = line.split('=>', 2);
+		const parsed =
+			folder === undefined ? undefined : parseCondition(condition.trim());
+		return parsed ? [{condition: parsed, folder: folder.trim()}] : [];
+	});
+}
+
+/** Lines of the setting that are not valid rules, for the settings tab */
+export function findInvalidDestinationRules(value: string): string[] {
+	return value
+		.split('\n')
+		.map((line) => line.trim())
+		.filter((line) => line && parseDestinationRules(line).length === 0);
+}
+
+function getProperty(app: App, note: TFile | undefined, key: string): unknown {
+	if (!note) return undefined;
+
+	const frontmatter = app.metadataCache.getFileCache(note)?.frontmatter as
+		| Record<string, unknown>
+		| undefined;
+	return frontmatter?.[key];
+}
+
+function matchesCondition(
+	app: App,
+	condition: Condition,
+	source: DestinationSource,
+): boolean {
+	switch (condition.type) {
+		case 'any': {
+			return true;
+		}
+
+		case 'tag': {
+			const cache = source.note
+				? app.metadataCache.getFileCache(source.note)
+				: undefined;
+			// Nested tags match their parent, e.g. `#blog/drafts` matches `#blog`
+			return (getAllTags(cache ?? {}) ?? []).some((tag) => {
+				const lowerTag = tag.toLowerCase();
+				return (
+					lowerTag === condition.tag ||
+					lowerTag.startsWith(`${condition.tag}/`)
+				);
+			});
+		}
+
+		case 'property': {
+			const value = getProperty(app, source.note, condition.key);
+			const values = Array.isArray(value) ? value : [value];
+			return condition.value === undefined
+				? values.some(Boolean)
+				: values.some((entry) => String(entry) === condition.value);
+		}
+
+		case 'folder': {
+			return condition.pattern.test(source.folderPath);
+		}
+	}
+}
+
+/**
+ * Render a folder template. Undefined when a variable has no value, e.g.
+ * `{noteFolder}` without an embedding note.
+ */
+function renderFolder(
+	app: App,
+	template: string,
+	source: DestinationSource,
+): string | undefined {
+	const {note} = source;
+	let isMissing = false;
+	const folder = template.replaceAll(
+		/{(\w+)(?::([^}]+))?}/g,
+		(match, name: string, argument?: string) => {
+			const value = {
+				noteFolder: note?.parent?.path,
+				noteName: note?.basename,
+				folder: source.folderPath,
+				property: argument
+					? getProperty(app, note, argument.trim())
+					: undefined,
+			}[name];
+			if (typeof value !== 'string' && typeof value !== 'number') {
+				isMissing = true;
+				return match;
+			}
+
+			return String(value).replaceAll(/[\\:*?"<>|]/g, '');
+		},
+	);
+	if (isMissing) return undefined;
+
+	const trimmed = folder.replaceAll(/^\/+|\/+$/g, '');
+	return trimmed ? normalizePath(trimmed) : '';
+}
+
+/**
+ * Folder the first matching rule sends the image to, empty for the vault
+ * root. Undefined when no rule applies, to leave the image where it is.
+ */
+export function resolveDestination(
+	app: App,
+	settings: DestinationSettings,
+	source: DestinationSource,
+): string | undefined {
+	for (const {condition, folder} of parseDestinationRules(
+		settings.destinationRules,
+	)) {
+		if (!matchesCondition(app, condition, source)) continue;
+
+		const rendered = renderFolder(app, folder, source);
+		if (rendered !== undefined) return rendered;
+	}
+
+	return undefined;
+}
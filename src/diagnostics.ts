@@ -0,0 +1,301 @@
+import {
+	type CompressionSettings,
+	getScriptArguments,
+	parseScriptOutput,
+} from './compression.js';
+import {SAMPLE_PNG_BASE64} from './sample-image.js';
+
+const RUNTIME_NAMES = ['node', 'bun', 'deno'];
+
+export type DetectedRuntime = {
+	name: string;
+	path: string;
+	version: string;
+};
+
+/** Inline state of a path setting */
+export type PathCheck = {isValid: boolean; message: string};
+
+export type CompressionTestResult = {
+	// Undefined when the script did not exit by itself, e.g. it timed out
+	exitCode?: number;
+	// Why the script could not run or failed, e.g. a missing runtime
+	error?: string;
+	stderr: string;
+	inputSize: number;
+	// Where the output was expected, relative to the temporary folder
+	outputName: string;
+	// Undefined when no output appeared
+	outputSize?: number;
+};
+
+async function loadNodeModules() {
+	// Node modules are loaded lazily, they don't exist on mobile. The script
+	// backend these check is desktop only anyway
+	const [
+		{execFile},
+		{promisify},
+		{default: path},
+		fs,
+		os,
+		{default: process},
+		{Buffer},
+	] = await Promise.all([
+		import('node:child_process'),
+		import('node:util'),
+		import('node:path'),
+		import('node:fs/promises'),
+		import('node:os'),
+		import('node:process'),
+		import('node:buffer'),
+	]);
+	return {execFileAsync: promisify(execFile), path, fs, os, process, Buffer};
+}
+
+/** Folders like `parent/<version>/suffix`, newest version names first */
+async function listVersionFolders(
+	parent: string,
+	suffix: string,
+): Promise<string[]> {
+	const {path, fs} = await loadNodeModules();
+	try {
+		const versions = await fs.readdir(parent);
+		return versions
+			.sort()
+			.reverse()
+			.map((version) => path.join(parent, version, suffix));
+	} catch {
+		return [];
+	}
+}
+
+/** PATH, common install locations and version manager folders */
+async function getRuntimeFolders(): Promise<string[]> {
+	const {path, os, process} = await loadNodeModules();
+	const home = os.homedir();
+	const environment = process.env;
+	const pathFolders = (environment.PATH ?? '').split(path.delimiter);
+
+	const versionFolders = await Promise.all([
+		listVersionFolders(path.join(home, '.nvm/versions/node'), 'bin'),
+		listVersionFolders(
+			path.join(home, '.local/share/fnm/node-versions'),
+			'installation/bin',
+		),
+		listVersionFolders(
+			path.join(home, 'Library/Application Support/fnm/node-versions'),
+			'installation/bin',
+		),
+		listVersionFolders(path.join(environment.APPDATA ?? home, 'nvm'), ''),
+	]);
+
+	const folders = [
+		...pathFolders,
+		'/opt/homebrew/bin',
+		'/usr/local/bin',
+		'/usr/bin',
+		path.join(home, '.volta/bin'),
+		path.join(home, '.asdf/shims'),
+		path.join(home, '.local/share/mise/shims'),
+		path.join(home, '.bun/bin'),
+		path.join(home, '.deno/bin'),
+		path.join(environment.ProgramFiles ?? 'C:\\Program Files', 'nodejs'),
+		...versionFolders.flat(),
+	];
+	return [...new Set(folders.filter(Boolean))];
+}
+
+/** First line of `<runtime> --version`, undefined when it does not run */
+async function getRuntimeVersion(
+	runtimePath: string,
+): Promise<string | undefined> {
+	const {execFileAsync} = await loadNodeModules();
+	try {
+		const {stdout} = await execFileAsync(runtimePath, ['--version'], {
+			timeout: 5000,
+		});
+		return stdout.trim().split('\n')[0];
+	} catch {
+		return undefined;
+	}
+}
+
+/** Installed node, bun and deno runtimes that run, without duplicates */
+export async function detectRuntimes(): Promise<DetectedRuntime[]> {
+	const {path, fs, process} = await loadNodeModules();
+	const extension = process.platform === 'win32' ? '.exe' : '';
+	const folders = await getRuntimeFolders();
+	const candidates = folders.flatMap((folder) =>
+		RUNTIME_NAMES.map((name) => ({
+			name,
+			path: path.join(folder, `${name}${extension}`),
+		})),
+	);
+
+	const found = await Promise.all(
+		candidates.map(async (candidate) => {
+			try {
+				const realPath = await fs.realpath(candidate.path);
+				const stats = await fs.stat(realPath);
+				return stats.isFile() ? {...candidate, realPath} : undefined;
+			} catch {
+				return undefined;
+			}
+		}),
+	);
+
+	// Shims and symlinks often lead to the same binary
+	const unique = new Map<string, {name: string; path: string}>();
+	for (const candidate of found) {
+		if (candidate && !unique.has(candidate.realPath)) {
+			unique.set(candidate.realPath, candidate);
+		}
+	}
+
+	const runtimes = await Promise.all(
+		[...unique.values()].map(async ({name, path}) => {
+			const version = await getRuntimeVersion(path);
+			return version ? {name, path, version} : undefined;
+		}),
+	);
+	return runtimes.filter((runtime) => runtime !== undefined);
+}
+
+/** Whether `value` is an absolute path to an existing file */
+async function checkFilePath(value: string): Promise<PathCheck | undefined> {
+	const {path, fs} = await loadNodeModules();
+	if (!value) return {isValid: false, message: 'Not set'};
+	if (!path.isAbsolute(value)) {
+		return {isValid: false, message: 'Not an absolute path'};
+	}
+
+	try {
+		const stats = await fs.stat(value);
+		if (!stats.isFile()) {
+			return {isValid: false, message: 'This is a folder, not a file'};
+		}
+	} catch {
+		return {isValid: false, message: 'File not found'};
+	}
+
+	return undefined;
+}
+
+export async function checkRuntimePath(value: string): Promise<PathCheck> {
+	const invalid = await checkFilePath(value);
+	if (invalid) return invalid;
+
+	const version = await getRuntimeVersion(value);
+	return version
+		? {isValid: true, message: `Found ${version}`}
+		: {isValid: false, message: 'Found, but `--version` did not run'};
+}
+
+export async function checkScriptPath(value: string): Promise<PathCheck> {
+	return (await checkFilePath(value)) ?? {isValid: true, message: 'Found'};
+}
+
+type ScriptRun = Pick<
+	CompressionTestResult,
+	'exitCode' | 'error' | 'stderr' | 'outputName'
+>;
+
+/** Run the script on `inputPath`, asking for `outputName` in `folder` */
+async function runScript(
+	settings: CompressionSettings,
+	folder: string,
+	inputPath: string,
+	outputName: string,
+): Promise<ScriptRun> {
+	const {execFileAsync, path} = await loadNodeModules();
+	try {
+		const {stdout, stderr} = await execFileAsync(
+			settings.runtimeAbsolutePath,
+			getScriptArguments(
+				settings,
+				inputPath,
+				path.join(folder, outputName),
+			),
+			{timeout: settings.timeoutSeconds * 1000, cwd: folder},
+		);
+		// Legacy scripts print nothing structured
+		if (settings.scriptProtocol === 'legacy') {
+			return {exitCode: 0, stderr, outputName};
+		}
+
+		const result = parseScriptOutput(stdout);
+		if (!result) {
+			return {
+				exitCode: 0,
+				error: 'Printed no JSON result',
+				stderr,
+				outputName,
+			};
+		}
+
+		return result.ok
+			? {
+					exitCode: 0,
+					stderr,
+					outputName: path.relative(
+						folder,
+						path.resolve(folder, result.output),
+					),
+				}
+			: {exitCode: 0, error: result.error, stderr, outputName};
+	} catch (error) {
+		const {code, killed, message, stderr, stdout} = error as Error & {
+			code?: number | string;
+			killed?: boolean;
+			stderr?: string;
+			stdout?: string;
+		};
+		// A string code means it did not start, e.g. `ENOENT`
+		const exitCode = typeof code === 'number' ? code : undefined;
+		// Scripts may report their own failure as JSON before exiting
+		const result = stdout ? parseScriptOutput(stdout) : undefined;
+		let reason = message;
+		if (killed) reason = 'Timed out';
+		else if (result && !result.ok && result.error) reason = result.error;
+		else if (exitCode !== undefined)
+			reason = `Exited with code ${exitCode}`;
+
+		return {
+			exitCode,
+			error: reason,
+			stderr: stderr ?? '',
+			outputName,
+		};
+	}
+}
+
+/**
+ * Run the configured script on the bundled sample image, in a temporary
+ * folder that is removed again afterwards.
+ */
+export async function testCompressionScript(
+	settings: CompressionSettings,
+): Promise<CompressionTestResult> {
+	const {path, fs, os, Buffer} = await loadNodeModules();
+	const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'image-optimizer-'));
+	const input = Buffer.from(SAMPLE_PNG_BASE64, 'base64');
+	const inputPath = path.join(folder, 'sample.png');
+
+	try {
+		await fs.writeFile(inputPath, input);
+		// Where the plugin asks for the output, and where legacy scripts write it
+		const run = await runScript(settings, folder, inputPath, 'sample.temp');
+		const output = await fs
+			.stat(path.join(folder, run.outputName))
+			.catch(() => undefined);
+
+		return {
+			...run,
+			stderr: run.stderr.trim(),
+			inputSize: input.byteLength,
+			outputSize: output?.isFile() ? output.size : undefined,
+		};
+	} finally {
+		await fs.rm(folder, {recursive: true, force: true});
+	}
+}
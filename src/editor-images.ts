@@ -0,0 +1,213 @@
+import {
+	type App,
+	type Editor,
+	type EventRef,
+	type MarkdownFileInfo,
+	type MarkdownView,
+	Notice,
+	type TFile,
+} from 'obsidian';
+import {formatDate} from './template.js';
+
+/** An image pasted or dropped into a note, not written to the vault yet */
+export type EditorImage = {
+	// Without extension, e.g. `Pasted image 20250101120000` for screenshots
+	basename: string;
+	extension: string;
+	data: ArrayBuffer;
+};
+
+const MIME_EXTENSIONS: Record<string, string> = {
+	'image/png': 'png',
+	'image/jpeg': 'jpg',
+	'image/webp': 'webp',
+	'image/gif': 'gif',
+	'image/avif': 'avif',
+};
+
+/** Pasted screenshots are all called `image.png`, name them like Obsidian */
+function getBasename(file: File): string {
+	const name = file.name.replace(/\.[^.]+$/, '');
+	if (name && name !== 'image') return name;
+
+	return `Pasted image ${formatDate(new Date(), 'YYYYMMDDHHmmss')}`;
+}
+
+function getExtension(file: File): string | undefined {
+	return (
+		MIME_EXTENSIONS[file.type] ??
+		/\.([^.]+)$/.exec(file.name)?.[1]?.toLowerCase()
+	);
+}
+
+/**
+ * Takes over pasting and dropping images into the editor: the image is
+ * optimized in memory by `writeImage`, and only the final file is written
+ * and embedded at the cursor.
+ */
+export class EditorImageHandler {
+	private eventRefs: EventRef[] = [];
+
+	constructor(
+		private readonly app: App,
+		// Whether to take over an image with this extension
+		private readonly canHandle: (extension: string) => boolean,
+		private readonly writeImage: (
+			image: EditorImage,
+			note: TFile,
+		) => Promise<TFile>,
+	) {}
+
+	enable() {
+		if (this.eventRefs.length > 0) return;
+
+		const {workspace} = this.app;
+		this.eventRefs = [
+			workspace.on('editor-paste', (event, editor, info) => {
+				this.handle(
+					event,
+					event.clipboardData ?? undefined,
+					editor,
+					info,
+				);
+			}),
+			workspace.on('editor-drop', (event, editor, info) => {
+				this.handle(
+					event,
+					event.dataTransfer ?? undefined,
+					editor,
+					info,
+				);
+			}),
+		];
+	}
+
+	disable() {
+		for (const eventReference of this.eventRefs) {
+			this.app.workspace.offref(eventReference);
+		}
+
+		this.eventRefs = [];
+	}
+
+	private handle(
+		event: ClipboardEvent | DragEvent,
+		data: DataTransfer | undefined,
+		editor: Editor,
+		info: MarkdownView | MarkdownFileInfo,
+	) {
+		// Another plugin already took care of it
+		if (event.defaultPrevented || !info.file || !data) return;
+
+		const files = Array.from(data.files);
+		const extensions = files.map((file) => getExtension(file));
+		// Leave anything that is not only images to Obsidian
+		if (
+			files.length === 0 ||
+			!extensions.every(
+				(extension) => extension && this.canHandle(extension),
+			)
+		) {
+			return;
+		}
+
+		event.preventDefault();
+		const note = info.file;
+		// Marks the spot while the images are written, text may be typed around it
+		const placeholder = `<!-- Image Optimizer: saving ${files.length} image(s) ${Date.now()} -->`;
+		editor.replaceSelection(placeholder);
+
+		void (async () => {
+			const progress = new Notice(
+				`Image Optimizer: Optimizing ${files.length} image(s)...`,
+				0,
+			);
+			try {
+				const links = await this.writeAll(
+					files.map((file, index) => ({
+						file,
+						extension: extensions[index]!,
+					})),
+					note,
+				);
+				await this.replacePlaceholder(
+					{editor, info, note},
+					placeholder,
+					links.join('\n'),
+				);
+			} finally {
+				progress.hide();
+			}
+		})();
+	}
+
+	/**
+	 * Put the embeds where the placeholder is now: in the editor when it
+	 * still shows the note, otherwise in the note's file
+	 */
+	private async replacePlaceholder(
+		target: {
+			editor: Editor;
+			info: MarkdownView | MarkdownFileInfo;
+			note: TFile;
+		},
+		placeholder: string,
+		text: string,
+	) {
+		const {editor, info, note} = target;
+		const offset = editor.getValue().indexOf(placeholder);
+		if (info.file === note && offset !== -1) {
+			editor.replaceRange(
+				text,
+				editor.offsetToPos(offset),
+				editor.offsetToPos(offset + placeholder.length),
+			);
+			return;
+		}
+
+		await this.app.vault.process(note, (data) =>
+			data.replace(placeholder, () => text),
+		);
+	}
+
+	/**
+	 * Write the images one by one, returning their embeds. An image that
+	 * cannot be written is reported, and the others are still embedded.
+	 */
+	private async writeAll(
+		files: Array<{file: File; extension: string}>,
+		note: TFile,
+	): Promise<string[]> {
+		// Use recursion to avoid 'await in loop'
+		const writeNext = async (index: number): Promise<string[]> => {
+			if (index >= files.length) return [];
+
+			const {file, extension} = files[index];
+			let embed: string[] = [];
+			try {
+				const written = await this.writeImage(
+					{
+						basename: getBasename(file),
+						extension,
+						data: await file.arrayBuffer(),
+					},
+					note,
+				);
+				const link = this.app.fileManager.generateMarkdownLink(
+					written,
+					note.path,
+				);
+				embed = [`!${link}`];
+			} catch (error) {
+				console.error('Error writing pasted image:', error);
+				new Notice(
+					`Image Optimizer: Failed to save pasted image ${file.name}: ${error instanceof Error ? error.message : String(error)}`,
+				);
+			}
+
+			return [...embed, ...(await writeNext(index + 1))];
+		};
+
+		return writeNext(0);
+	}
+}
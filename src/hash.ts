@@ -0,0 +1,111 @@
+import SparkMD5 from 'spark-md5';
+
+export type HashAlgorithm = 'md5' | 'sha1' | 'sha256' | 'sha512';
+
+export type HashEncoding = 'hex' | 'base36' | 'base64url';
+
+// Hash the compressed output, or the original so names survive recompressing
+export type HashSource = 'output' | 'original';
+
+export type HashSettings = {
+	hashAlgorithm: HashAlgorithm;
+	// Length of a bare `{hash}`, `{hash:N}` sets its own
+	hashLength: number;
+	hashEncoding: HashEncoding;
+	hashSource: HashSource;
+};
+
+export const HASH_ALGORITHMS: Record<HashAlgorithm, string> = {
+	md5: 'MD5',
+	sha1: 'SHA-1',
+	sha256: 'SHA-256',
+	sha512: 'SHA-512',
+};
+
+const DIGEST_BITS: Record<HashAlgorithm, number> = {
+	md5: 128,
+	sha1: 160,
+	sha256: 256,
+	sha512: 512,
+};
+
+// Characters each encoding may produce, for recognising hashes in names
+export const HASH_CHARACTERS: Record<HashEncoding, string> = {
+	hex: '[a-f\\d]',
+	base36: '[a-z\\d]',
+	base64url: '[\\w-]',
+};
+
+async function digest(
+	buffer: ArrayBuffer,
+	algorithm: HashAlgorithm,
+): Promise<Uint8Array> {
+	// WebCrypto has no MD5
+	if (algorithm === 'md5') {
+		const hex = SparkMD5.ArrayBuffer.hash(buffer);
+		return Uint8Array.from(hex.match(/../g)!, (byte) =>
+			Number.parseInt(byte, 16),
+		);
+	}
+
+	return new Uint8Array(
+		await crypto.subtle.digest(HASH_ALGORITHMS[algorithm], buffer),
+	);
+}
+
+function encode(bytes: Uint8Array, encoding: HashEncoding): string {
+	const hex = [...bytes]
+		.map((byte) => byte.toString(16).padStart(2, '0'))
+		.join('');
+
+	switch (encoding) {
+		case 'hex': {
+			return hex;
+		}
+
+		case 'base36': {
+			// Padded, so every digest of an algorithm has the same length
+			return BigInt(`0x${hex}`)
+				.toString(36)
+				.padStart(Math.ceil((bytes.length * 8) / Math.log2(36)), '0');
+		}
+
+		case 'base64url': {
+			// The window's `btoa` is the one base64 encoder on desktop and mobile alike
+			return activeWindow
+				.btoa(String.fromCodePoint(...bytes))
+				.replaceAll('+', '-')
+				.replaceAll('/', '_')
+				.replace(/=+$/, '');
+		}
+	}
+}
+
+/** Full encoded digest, sliced to length by the template */
+export async function hashForName(
+	buffer: ArrayBuffer,
+	settings: HashSettings,
+): Promise<string> {
+	return encode(
+		await digest(buffer, settings.hashAlgorithm),
+		settings.hashEncoding,
+	);
+}
+
+/** Length of the full encoded digest */
+export function getDigestLength(settings: HashSettings): number {
+	const bits = DIGEST_BITS[settings.hashAlgorithm];
+	switch (settings.hashEncoding) {
+		case 'hex': {
+			return bits / 4;
+		}
+
+		case 'base36': {
+			return Math.ceil(bits / Math.log2(36));
+		}
+
+		case 'base64url': {
+			return Math.ceil(bits / 6);
+		}
+	}
+}
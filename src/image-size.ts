@@ -0,0 +1,160 @@
+// WebP dimensions are stored as 14-bit fields
+const FOURTEEN_BITS = 0x40_00;
+
+export type ImageSize = {
+	width: number;
+	height: number;
+};
+
+/** Format of the image from its signature, e.g. `webp` or `jpeg` */
+export function getImageFormat(buffer: ArrayBuffer): string | undefined {
+	const view = new DataView(buffer);
+	if (view.byteLength < 12) return undefined;
+
+	if (view.getUint32(0) === 0x89_50_4e_47) return 'png';
+	if (view.getUint16(0) === 0xff_d8) return 'jpeg';
+	if (readAscii(view, 0, 3) === 'GIF') return 'gif';
+	if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+		return 'webp';
+	}
+
+	// AVIF: an ISO media file whose brand is `avif`, or `avis` when animated
+	if (readAscii(view, 4, 4) === 'ftyp') {
+		const brand = readAscii(view, 8, 4);
+		if (brand === 'avif' || brand === 'avis') return 'avif';
+	}
+
+	return undefined;
+}
+
+/** Read image dimensions from the file header, without decoding pixels */
+export function getImageSize(buffer: ArrayBuffer): ImageSize | undefined {
+	const view = new DataView(buffer);
+	if (view.byteLength < 30) return undefined;
+
+	// PNG: signature, then the IHDR chunk
+	if (view.getUint32(0) === 0x89_50_4e_47) {
+		return {width: view.getUint32(16), height: view.getUint32(20)};
+	}
+
+	// JPEG: walk the segments until a start-of-frame marker
+	if (view.getUint16(0) === 0xff_d8) {
+		return getJpegSize(view);
+	}
+
+	// GIF: logical screen size right after the signature
+	if (readAscii(view, 0, 3) === 'GIF') {
+		return {
+			width: view.getUint16(6, true),
+			height: view.getUint16(8, true),
+		};
+	}
+
+	// WebP: RIFF container with a VP8, VP8L or VP8X chunk
+	if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+		return getWebpSize(view);
+	}
+
+	return undefined;
+}
+
+/**
+ * Whether a PNG can be transparent: an alpha channel in its color type, or
+ * a tRNS chunk. Other formats return false.
+ */
+export function hasPngTransparency(buffer: ArrayBuffer): boolean {
+	const view = new DataView(buffer);
+	if (view.byteLength < 33 || view.getUint32(0) !== 0x89_50_4e_47) {
+		return false;
+	}
+
+	// Grayscale with alpha (4) or RGBA (6)
+	const colorType = view.getUint8(25);
+	if (colorType === 4 || colorType === 6) return true;
+
+	// Ancillary chunks come before the image data
+	let offset = 8;
+	while (offset + 8 <= view.byteLength) {
+		const type = readAscii(view, offset + 4, 4);
+		if (type === 'tRNS') return true;
+		if (type === 'IDAT' || type === 'IEND') return false;
+
+		offset += 12 + view.getUint32(offset);
+	}
+
+	return false;
+}
+
+function getJpegSize(view: DataView): ImageSize | undefined {
+	let offset = 2;
+
+	while (offset + 9 < view.byteLength) {
+		if (view.getUint8(offset) !== 0xff) return undefined;
+
+		const marker = view.getUint8(offset + 1);
+		const length = view.getUint16(offset + 2);
+
+		// SOF0 to SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+		const isStartOfFrame =
+			marker >= 0xc0 &&
+			marker <= 0xcf &&
+			marker !== 0xc4 &&
+			marker !== 0xc8 &&
+			marker !== 0xcc;
+		if (isStartOfFrame) {
+			return {
+				height: view.getUint16(offset + 5),
+				width: view.getUint16(offset + 7),
+			};
+		}
+
+		offset += 2 + length;
+	}
+
+	return undefined;
+}
+
+function getWebpSize(view: DataView): ImageSize | undefined {
+	const chunk = readAscii(view, 12, 4);
+
+	if (chunk === 'VP8 ') {
+		return {
+			width: view.getUint16(26, true) % FOURTEEN_BITS,
+			height: view.getUint16(28, true) % FOURTEEN_BITS,
+		};
+	}
+
+	if (chunk === 'VP8L') {
+		const bits = view.getUint32(21, true);
+		return {
+			width: (bits % FOURTEEN_BITS) + 1,
+			height: (Math.floor(bits / FOURTEEN_BITS) % FOURTEEN_BITS) + 1,
+		};
+	}
+
+	if (chunk === 'VP8X') {
+		return {
+			width: readUint24(view, 24) + 1,
+			height: readUint24(view, 27) + 1,
+		};
+	}
+
+	return undefined;
+}
+
+function readAscii(view: DataView, offset: number, length: number): string {
+	let text = '';
+	for (let i = 0; i < length; i++) {
+		text += String.fromCodePoint(view.getUint8(offset + i));
+	}
+
+	return text;
+}
+
+function readUint24(view: DataView, offset: number): number {
+	return (
+		view.getUint8(offset) +
+		view.getUint8(offset + 1) * 0x1_00 +
+		view.getUint8(offset + 2) * 0x1_00_00
+	);
+}
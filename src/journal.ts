@@ -0,0 +1,57 @@
+import type {App} from 'obsidian';
+import {JsonFile} from './storage.js';
+
+// Older entries are dropped, the journal is for undoing recent mistakes
+const MAX_ENTRIES = 500;
+
+export type JournalEntry = {
+	id: string;
+	timestamp: number;
+	oldPath: string;
+	newPath: string;
+	// Where the original went, unless it was deleted or trashed
+	backupPath?: string;
+	// Notes whose links were rewritten from the old to the new path
+	linkedNotes: string[];
+	// The old file was a duplicate of `newPath`, which was there already
+	isMerge?: boolean;
+};
+
+/** Operations log, stored as JSON next to the plugin's data.json */
+export class OperationJournal {
+	private entries: JournalEntry[] = [];
+	private readonly file: JsonFile<JournalEntry[]>;
+
+	constructor(app: App, filePath: string) {
+		this.file = new JsonFile(app, filePath);
+	}
+
+	async load() {
+		this.entries = (await this.file.read()) ?? [];
+	}
+
+	/** Newest first */
+	getEntries(): JournalEntry[] {
+		return [...this.entries].reverse();
+	}
+
+	async add(entry: Omit<JournalEntry, 'id' | 'timestamp'>) {
+		const timestamp = Date.now();
+		this.entries.push({
+			id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+			timestamp,
+			...entry,
+		});
+		this.entries = this.entries.slice(-MAX_ENTRIES);
+		await this.save();
+	}
+
+	async remove(id: string) {
+		this.entries = this.entries.filter((entry) => entry.id !== id);
+		await this.save();
+	}
+
+	private async save() {
+		await this.file.write(this.entries);
+	}
+}
@@ -0,0 +1,208 @@
+import {
+	ItemView,
+	Notice,
+	Setting,
+	type TFile,
+	type WorkspaceLeaf,
+} from 'obsidian';
+import {
+	getFolderKey,
+	getMonthKey,
+	getSavedBytes,
+	type Ledger,
+	type LedgerEntry,
+	type SavingsRow,
+	summarizeSavings,
+} from './ledger.js';
+import type {ProcessResult} from './types.js';
+import {formatSize} from './utils.js';
+
+export const LEDGER_VIEW_TYPE = 'image-optimizer-ledger';
+
+// Rendering thousands of rows makes the view sluggish
+const MAX_ROWS = 200;
+
+type Filter = 'all' | 'processed' | 'failed';
+
+/** History of optimized images, with savings per folder and per month */
+export class LedgerView extends ItemView {
+	private filter: Filter = 'all';
+
+	constructor(
+		leaf: WorkspaceLeaf,
+		private readonly ledger: Ledger,
+		private readonly rerun: (file: TFile) => Promise<ProcessResult>,
+	) {
+		super(leaf);
+	}
+
+	getViewType() {
+		return LEDGER_VIEW_TYPE;
+	}
+
+	getDisplayText() {
+		return 'Image optimization history';
+	}
+
+	getIcon() {
+		return 'history';
+	}
+
+	async onOpen() {
+		this.registerEvent(
+			this.ledger.on('changed', () => {
+				this.render();
+			}),
+		);
+		this.render();
+	}
+
+	async onClose() {
+		this.contentEl.empty();
+	}
+
+	private render() {
+		const {contentEl} = this;
+		contentEl.empty();
+
+		const entries = this.ledger.getEntries();
+		const processed = entries.filter(
+			(entry) => entry.status === 'processed',
+		);
+		const failed = entries.filter((entry) => entry.status === 'failed');
+		let saved = 0;
+		for (const entry of processed) saved += getSavedBytes(entry);
+
+		contentEl.createEl('h4', {text: 'Image optimization history'});
+		contentEl.createEl('p', {
+			text: `${processed.length} optimized, ${failed.length} failed, ${formatSize(saved)} saved in total`,
+		});
+
+		this.renderSavings(
+			'Saved per folder',
+			summarizeSavings(entries, getFolderKey),
+		);
+		this.renderSavings(
+			'Saved per month',
+			summarizeSavings(entries, getMonthKey),
+		);
+		this.renderHistory(entries, failed);
+	}
+
+	private renderSavings(title: string, rows: SavingsRow[]) {
+		if (rows.length === 0) return;
+
+		const details = this.contentEl.createEl('details');
+		details.createEl('summary', {text: title});
+		const list = details.createEl('ul');
+		for (const {key, count, saved} of rows) {
+			list.createEl('li', {
+				text: `${key}: ${formatSize(saved)} (${count} image(s))`,
+			});
+		}
+	}
+
+	private renderHistory(entries: LedgerEntry[], failed: LedgerEntry[]) {
+		const {contentEl} = this;
+
+		new Setting(contentEl)
+			.setName('History')
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({
+						all: 'All',
+						processed: 'Optimized',
+						failed: 'Failures',
+					})
+					.setValue(this.filter)
+					.onChange((value) => {
+						this.filter = value as Filter;
+						this.render();
+					}),
+			)
+			.addButton((button) =>
+				button
+					.setButtonText('Re-run failures')
+					.setDisabled(failed.length === 0)
+					.onClick(async () => {
+						button.setDisabled(true);
+						await this.rerunAll(failed);
+					}),
+			);
+
+		const visible = entries.filter(
+			(entry) => this.filter === 'all' || entry.status === this.filter,
+		);
+		if (visible.length === 0) {
+			contentEl.createEl('p', {text: 'Nothing recorded yet.'});
+			return;
+		}
+
+		for (const entry of visible.slice(0, MAX_ROWS)) {
+			this.renderEntry(entry);
+		}
+
+		if (visible.length > MAX_ROWS) {
+			contentEl.createEl('p', {
+				text: `And ${visible.length - MAX_ROWS} older entries.`,
+			});
+		}
+	}
+
+	private renderEntry(entry: LedgerEntry) {
+		const date = new Date(entry.timestamp).toLocaleString();
+		const setting = new Setting(this.contentEl);
+
+		if (entry.status === 'failed') {
+			setting
+				.setName(`Failed: ${entry.oldPath}`)
+				.setDesc(`${date} · ${entry.error ?? 'Unknown error'}`)
+				.addButton((button) =>
+					button.setButtonText('Re-run').onClick(async () => {
+						button.setDisabled(true);
+						await this.rerunAll([entry]);
+					}),
+				);
+			return;
+		}
+
+		const size =
+			entry.sizeAfter === undefined
+				? formatSize(entry.sizeBefore)
+				: `${formatSize(entry.sizeBefore)} → ${formatSize(entry.sizeAfter)}`;
+		const dimensions =
+			entry.width && entry.height
+				? ` · ${entry.width}×${entry.height}`
+				: '';
+		setting
+			.setName(`${entry.oldPath} → ${entry.newPath ?? entry.oldPath}`)
+			.setDesc(
+				`${date} · ${size}${dimensions} · ${entry.backend ?? 'renamed only'}`,
+			);
+	}
+
+	/** Process the failed images again, skipping those that are gone */
+	private async rerunAll(entries: LedgerEntry[]) {
+		// Several failures of the same image need one re-run
+		const files = [
+			...new Set(entries.map((entry) => entry.oldPath)),
+		].flatMap((path) => {
+			const file = this.app.vault.getFileByPath(path);
+			return file ? [file] : [];
+		});
+		if (files.length === 0) {
+			new Notice('Image Optimizer: The failed images no longer exist');
+			return;
+		}
+
+		const results = await Promise.all(
+			files.map(async (file) => this.rerun(file)),
+		);
+		const processedCount = results.filter(
+			(result) => result.status === 'processed',
+		).length;
+		new Notice(
+			`Image Optimizer: Re-ran ${files.length} image(s), ${processedCount} optimized`,
+		);
+	}
+}
@@ -0,0 +1,99 @@
+import {type App, Events} from 'obsidian';
+import type {CompressionBackend} from './compression.js';
+import {JsonFile} from './storage.js';
+
+// Enough history for the statistics, without growing the file forever
+const MAX_ENTRIES = 5000;
+
+export type LedgerEntry = {
+	id: string;
+	timestamp: number;
+	status: 'processed' | 'failed';
+	oldPath: string;
+	// Unset for failures
+	newPath?: string;
+	hash?: string;
+	sizeBefore: number;
+	sizeAfter?: number;
+	width?: number;
+	height?: number;
+	// Unset when the image was only renamed
+	backend?: CompressionBackend;
+	error?: string;
+};
+
+/** Bytes saved, by folder or month, largest first */
+export type SavingsRow = {key: string; count: number; saved: number};
+
+/**
+ * Record of every processed or failed image, stored as JSON next to the
+ * plugin's data.json. Triggers `changed` when an entry is added.
+ */
+export class Ledger extends Events {
+	private entries: LedgerEntry[] = [];
+	private readonly file: JsonFile<LedgerEntry[]>;
+
+	constructor(app: App, filePath: string) {
+		super();
+		this.file = new JsonFile(app, filePath);
+	}
+
+	async load() {
+		this.entries = (await this.file.read()) ?? [];
+	}
+
+	/** Newest first */
+	getEntries(): LedgerEntry[] {
+		return [...this.entries].reverse();
+	}
+
+	async add(entry: Omit<LedgerEntry, 'id' | 'timestamp'>) {
+		const timestamp = Date.now();
+		this.entries.push({
+			id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+			timestamp,
+			...entry,
+		});
+		this.entries = this.entries.slice(-MAX_ENTRIES);
+		this.trigger('changed');
+		await this.file.write(this.entries);
+	}
+}
+
+export function getSavedBytes(entry: LedgerEntry): number {
+	return entry.status === 'processed'
+		? entry.sizeBefore - (entry.sizeAfter ?? entry.sizeBefore)
+		: 0;
+}
+
+/** Savings of the processed entries, grouped by `getKey` */
+export function summarizeSavings(
+	entries: LedgerEntry[],
+	getKey: (entry: LedgerEntry) => string,
+): SavingsRow[] {
+	const rows = new Map<string, SavingsRow>();
+	for (const entry of entries) {
+		if (entry.status !== 'processed') continue;
+
+		const key = getKey(entry);
+		const row = rows.get(key) ?? {key, count: 0, saved: 0};
+		row.count++;
+		row.saved += getSavedBytes(entry);
+		rows.set(key, row);
+	}
+
+	return [...rows.values()].sort((a, b) => b.saved - a.saved);
+}
+
+export function getFolderKey(entry: LedgerEntry): string {
+	const path = entry.newPath ?? entry.oldPath;
+	const index = path.lastIndexOf('/');
+	return index === -1 ? '/' : path.slice(0, index);
+}
+
+/** `YYYY-MM` in local time */
+export function getMonthKey(entry: LedgerEntry): string {
+	const date = new Date(entry.timestamp);
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	return `${date.getFullYear()}-${month}`;
+}
@@ -0,0 +1,333 @@
+import {type App, Modal, type TFile} from 'obsidian';
+import type {OperationJournal} from './journal.js';
+import {findTextLinks, isStaleLinkTo, rewriteTextLinks} from './links.js';
+
+export type LinkReport = {
+	checked: number;
+	repaired: Array<{notePath: string; linkpath: string; newPath: string}>;
+	broken: Array<{notePath: string; linkpath: string}>;
+};
+
+type CanvasNode = {type: string; file?: string; text?: string};
+
+/** For each stale link, the file it should point at, or undefined */
+type FindTarget = (linkpath: string, sourcePath: string) => TFile | undefined;
+
+/**
+ * Finds and repairs links that no longer resolve after images were renamed,
+ * in notes (body and frontmatter) and `.canvas` files.
+ */
+export class LinkChecker {
+	// File names each canvas links to, kept until the canvas changes
+	private readonly canvasLinks = new Map<
+		string,
+		{mtime: number; names: Set<string>}
+	>();
+
+	constructor(
+		private readonly app: App,
+		private readonly journal: OperationJournal,
+	) {}
+
+	/**
+	 * Make sure links to `oldPath` now point at `newFile`, repairing the ones
+	 * Obsidian missed, e.g. with a stale metadata cache. Returns the repaired
+	 * notes and canvases.
+	 */
+	async verifyRename(
+		oldPath: string,
+		newFile: TFile,
+		notePaths: string[],
+	): Promise<string[]> {
+		const oldName = oldPath.split('/').pop()!;
+		const notes = notePaths.flatMap((path) => {
+			const note = this.app.vault.getFileByPath(path);
+			return note ? [note] : [];
+		});
+		const canvases = await this.findCanvasesLinking(oldName);
+
+		const repaired = await Promise.all(
+			[...notes, ...canvases].map(async (file) => {
+				// Cheap check first, most notes never mention the image
+				const text = await this.app.vault.cachedRead(file);
+				if (
+					!text.includes(oldName) &&
+					!text.includes(encodeURI(oldName))
+				) {
+					return undefined;
+				}
+
+				const count = await this.repairFile(
+					file,
+					(linkpath, sourcePath) =>
+						isStaleLinkTo(this.app, linkpath, sourcePath, {
+							oldPath,
+							newFile,
+						})
+							? newFile
+							: undefined,
+				);
+				return count > 0 ? file.path : undefined;
+			}),
+		);
+
+		return repaired.filter((path) => path !== undefined);
+	}
+
+	/**
+	 * Check every image link in the vault. Broken links to images that were
+	 * optimized are repaired, using the journal to find where they went.
+	 */
+	async checkVault(
+		isImagePath: (path: string) => boolean,
+	): Promise<LinkReport> {
+		const report: LinkReport = {checked: 0, repaired: [], broken: []};
+		const files = this.app.vault
+			.getFiles()
+			.filter(
+				(file) =>
+					file.extension === 'md' || file.extension === 'canvas',
+			);
+
+		// Each link is reported once per note, however often the note repeats it
+		const targets = new Map<string, TFile | undefined>();
+		const findTarget: FindTarget = (linkpath, sourcePath) => {
+			const key = `${sourcePath}\n${linkpath}`;
+			if (targets.has(key)) return targets.get(key);
+
+			const target = this.findMovedFile(linkpath, sourcePath);
+			targets.set(key, target);
+			if (target) {
+				report.repaired.push({
+					notePath: sourcePath,
+					linkpath,
+					newPath: target.path,
+				});
+			} else {
+				report.broken.push({notePath: sourcePath, linkpath});
+			}
+
+			return target;
+		};
+
+		// Use recursion to avoid 'await in loop', one file at a time
+		const checkNext = async (index: number): Promise<void> => {
+			if (index >= files.length) return;
+
+			const file = files[index];
+			const text = await this.app.vault.cachedRead(file);
+			const imageLinks = this.getLinkpaths(file, text).filter(
+				(linkpath) => isImagePath(linkpath),
+			);
+			const brokenLinks = imageLinks.filter(
+				(linkpath) =>
+					!this.app.metadataCache.getFirstLinkpathDest(
+						linkpath,
+						file.path,
+					),
+			);
+			report.checked += imageLinks.length;
+
+			if (brokenLinks.length > 0) {
+				await this.repairFile(file, (linkpath, sourcePath) =>
+					brokenLinks.includes(linkpath)
+						? findTarget(linkpath, sourcePath)
+						: undefined,
+				);
+			}
+
+			return checkNext(index + 1);
+		};
+
+		await checkNext(0);
+
+		return report;
+	}
+
+	/** Existing file a broken link's image was renamed to, per the journal */
+	private findMovedFile(
+		linkpath: string,
+		sourcePath: string,
+	): TFile | undefined {
+		const entries = this.journal.getEntries();
+		const entry = entries.find((entry) =>
+			isStaleLinkTo(this.app, linkpath, sourcePath, {
+				oldPath: entry.oldPath,
+			}),
+		);
+		if (!entry) return undefined;
+
+		// Follow later renames of the same image, newest entries win
+		const newPaths = new Map(
+			[...entries]
+				.reverse()
+				.map((later) => [later.oldPath, later.newPath]),
+		);
+		let path: string | undefined = entry.newPath;
+		const seen = new Set<string>();
+		while (path && !this.app.vault.getFileByPath(path) && !seen.has(path)) {
+			seen.add(path);
+			path = newPaths.get(path);
+		}
+
+		return path
+			? (this.app.vault.getFileByPath(path) ?? undefined)
+			: undefined;
+	}
+
+	/**
+	 * Canvases with a link to a file named `name`. Only canvases changed
+	 * since the last call are read again.
+	 */
+	private async findCanvasesLinking(name: string): Promise<TFile[]> {
+		const canvases = this.app.vault
+			.getFiles()
+			.filter((file) => file.extension === 'canvas');
+		const paths = new Set(canvases.map((file) => file.path));
+		for (const path of this.canvasLinks.keys()) {
+			if (!paths.has(path)) this.canvasLinks.delete(path);
+		}
+
+		await Promise.all(
+			canvases
+				.filter(
+					(file) =>
+						this.canvasLinks.get(file.path)?.mtime !==
+						file.stat.mtime,
+				)
+				.map(async (file) => {
+					const text = await this.app.vault.cachedRead(file);
+					const names = this.getLinkpaths(file, text).map(
+						(linkpath) => linkpath.split('/').pop()!,
+					);
+					this.canvasLinks.set(file.path, {
+						mtime: file.stat.mtime,
+						names: new Set(names),
+					});
+				}),
+		);
+
+		return canvases.filter((file) =>
+			this.canvasLinks.get(file.path)?.names.has(name),
+		);
+	}
+
+	/** Link paths in a note, or in the file and text nodes of a canvas */
+	private getLinkpaths(file: TFile, text: string): string[] {
+		if (file.extension !== 'canvas') {
+			return findTextLinks(text).map((link) => link.linkpath);
+		}
+
+		const nodes = this.parseCanvasNodes(text);
+		return nodes.flatMap((node) => [
+			...(node.file ? [node.file] : []),
+			...findTextLinks(node.text ?? '').map((link) => link.linkpath),
+		]);
+	}
+
+	private parseCanvasNodes(text: string): CanvasNode[] {
+		try {
+			return (JSON.parse(text) as {nodes?: CanvasNode[]}).nodes ?? [];
+		} catch {
+			return [];
+		}
+	}
+
+	/** Point the links `findTarget` returns a file for at that file */
+	private async repairFile(
+		file: TFile,
+		findTarget: FindTarget,
+	): Promise<number> {
+		const getNewLinkpath = (linkpath: string) => {
+			const target = findTarget(linkpath, file.path);
+			return target
+				? this.app.metadataCache.fileToLinktext(
+						target,
+						file.path,
+						false,
+					)
+				: undefined;
+		};
+
+		const rewrite = (text: string) => {
+			if (file.extension !== 'canvas') {
+				return rewriteTextLinks(text, getNewLinkpath);
+			}
+
+			let count = 0;
+			const canvas = JSON.parse(text) as {nodes?: CanvasNode[]};
+			for (const node of canvas.nodes ?? []) {
+				// Canvas file nodes always hold the full vault path
+				const target = node.file
+					? findTarget(node.file, file.path)
+					: undefined;
+				if (target) {
+					node.file = target.path;
+					count++;
+				}
+
+				if (node.text) {
+					const result = rewriteTextLinks(node.text, getNewLinkpath);
+					node.text = result.text;
+					count += result.count;
+				}
+			}
+
+			return {text: JSON.stringify(canvas, null, '\t'), count};
+		};
+
+		// Files without links to repair are not written at all
+		if (rewrite(await this.app.vault.read(file)).count === 0) return 0;
+
+		let count = 0;
+		await this.app.vault.process(file, (text) => {
+			const result = rewrite(text);
+			count = result.count;
+			// Leave the formatting alone when nothing changed in the meantime
+			return count > 0 ? result.text : text;
+		});
+
+		return count;
+	}
+}
+
+export class LinkReportModal extends Modal {
+	constructor(
+		app: App,
+		private readonly report: LinkReport,
+	) {
+		super(app);
+	}
+
+	onOpen() {
+		const {contentEl, report} = this;
+		this.titleEl.setText('Image links');
+
+		const list = contentEl.createEl('ul');
+		list.createEl('li', {text: `Checked: ${report.checked}`});
+		list.createEl('li', {text: `Repaired: ${report.repaired.length}`});
+		list.createEl('li', {text: `Broken: ${report.broken.length}`});
+
+		if (report.repaired.length > 0) {
+			contentEl.createEl('h4', {text: 'Repaired'});
+			const repairedList = contentEl.createEl('ul');
+			for (const {notePath, linkpath, newPath} of report.repaired) {
+				repairedList.createEl('li', {
+					text: `${notePath}: ${linkpath} → ${newPath}`,
+				});
+			}
+		}
+
+		if (report.broken.length > 0) {
+			contentEl.createEl('h4', {text: 'Broken, no renamed image found'});
+			const brokenList = contentEl.createEl('ul');
+			for (const {notePath, linkpath} of report.broken) {
+				brokenList.createEl('li', {text: `${notePath}: ${linkpath}`});
+			}
+		}
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+}
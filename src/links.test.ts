@@ -0,0 +1,70 @@
+import {describe, expect, it} from 'vitest';
+import {findTextLinks, replaceLinkpath, rewriteTextLinks} from './links.js';
+
+describe('replaceLinkpath', () => {
+	it('keeps the subpath and alias of wikilinks', () => {
+		expect(
+			replaceLinkpath(
+				'![[old image.png#section|300]]',
+				'old image.png#section',
+				'new-image.webp',
+			),
+		).toBe('![[new-image.webp#section|300]]');
+	});
+
+	it('URL-encodes the path of markdown links', () => {
+		expect(
+			replaceLinkpath(
+				'![old image](attachments/old%20image.png)',
+				'attachments/old image.png',
+				'attachments/new image.webp',
+			),
+		).toBe('![old image](attachments/new%20image.webp)');
+	});
+
+	it('keeps angle bracket markdown links unencoded', () => {
+		expect(
+			replaceLinkpath(
+				'![alt](<old image.png>)',
+				'old image.png',
+				'new image.webp',
+			),
+		).toBe('![alt](<new image.webp>)');
+	});
+
+	it('leaves the alt text of markdown links alone', () => {
+		expect(
+			replaceLinkpath('![image.png](image.png)', 'image.png', 'new.webp'),
+		).toBe('![image.png](new.webp)');
+	});
+
+	it('returns the link unchanged when its path is not in it', () => {
+		expect(replaceLinkpath('[[other.png]]', 'image.png', 'new.webp')).toBe(
+			'[[other.png]]',
+		);
+	});
+});
+
+describe('findTextLinks', () => {
+	it('finds wikilinks and local markdown links, decoded', () => {
+		const text =
+			'![[a.png|alt]] [b](folder/b%20c.png "title") [web](https://x.org/d.png)';
+		expect(findTextLinks(text).map((link) => link.linkpath)).toEqual([
+			'a.png',
+			'folder/b c.png',
+		]);
+	});
+});
+
+describe('rewriteTextLinks', () => {
+	it('rewrites the links it gets a new path for, and counts them', () => {
+		const result = rewriteTextLinks(
+			'![[a.png]] and [b](b.png) and ![[a.png|small]]',
+			(linkpath) => (linkpath === 'a.png' ? 'c.webp' : undefined),
+		);
+		expect(result).toEqual({
+			text: '![[c.webp]] and [b](b.png) and ![[c.webp|small]]',
+			count: 2,
+		});
+	});
+});
@@ -0,0 +1,287 @@
+import {
+	type App,
+	type FrontMatterCache,
+	getLinkpath,
+	type Reference,
+	type TFile,
+} from 'obsidian';
+import {getBacklinkPaths} from './utils.js';
+
+/**
+ * Replace the path inside a link's original text, keeping its alias,
+ * subpath and style. Markdown links get a URL-encoded path.
+ */
+export function replaceLinkpath(
+	original: string,
+	link: string,
+	newLinkpath: string,
+): string {
+	const linkpath = getLinkpath(link);
+
+	// Only touch the target of markdown links, not their alt text
+	const targetStart = original.lastIndexOf('](') + 1;
+	const isMarkdownLink = targetStart > 0;
+	const prefix = original.slice(0, targetStart);
+	const target = original.slice(targetStart);
+	const replacement =
+		isMarkdownLink && !target.startsWith('(<')
+			? encodeURI(newLinkpath)
+			: newLinkpath;
+
+	// Markdown links may store the path URL-encoded
+	const candidates = [
+		linkpath,
+		encodeURI(linkpath),
+		linkpath.replaceAll(' ', '%20'),
+	];
+	const candidate = candidates.find((path) => path && target.includes(path));
+	if (!candidate) return original;
+
+	const index = target.indexOf(candidate);
+	return (
+		prefix +
+		target.slice(0, index) +
+		replacement +
+		target.slice(index + candidate.length)
+	);
+}
+
+/** Update a frontmatter value by its cache key, e.g. `cover` or `images.0` */
+function updateFrontmatterValue(
+	frontmatter: FrontMatterCache,
+	key: string,
+	update: (value: string) => string,
+) {
+	const parts = key.split('.');
+	const last = parts.pop()!;
+	let parent = frontmatter as Record<string, unknown>;
+	for (const part of parts) {
+		const child = parent[part];
+		if (!child || typeof child !== 'object') return;
+		parent = child as Record<string, unknown>;
+	}
+
+	const value = parent[last];
+	if (typeof value === 'string') parent[last] = update(value);
+}
+
+/**
+ * Point the links in `note` that resolve to `fromPath` at `to` instead,
+ * in the body and in frontmatter. Returns whether anything changed.
+ */
+export async function redirectNoteLinks(
+	app: App,
+	note: TFile,
+	fromPath: string,
+	to: TFile,
+): Promise<boolean> {
+	const cache = app.metadataCache.getFileCache(note);
+	const resolves = (reference: Reference) =>
+		app.metadataCache.getFirstLinkpathDest(
+			getLinkpath(reference.link),
+			note.path,
+		)?.path === fromPath;
+
+	const references = [...(cache?.links ?? []), ...(cache?.embeds ?? [])]
+		.filter((reference) => resolves(reference))
+		// From the end, so earlier offsets stay valid
+		.sort((a, b) => b.position.start.offset - a.position.start.offset);
+	const frontmatterLinks = (cache?.frontmatterLinks ?? []).filter(
+		(reference) => resolves(reference),
+	);
+	if (references.length === 0 && frontmatterLinks.length === 0) {
+		return false;
+	}
+
+	const newLinkpath = app.metadataCache.fileToLinktext(to, note.path, false);
+
+	if (references.length > 0) {
+		await app.vault.process(note, (data) => {
+			let result = data;
+			for (const reference of references) {
+				const {start, end} = reference.position;
+				// The note changed since it was cached, leave it alone
+				if (
+					result.slice(start.offset, end.offset) !==
+					reference.original
+				) {
+					continue;
+				}
+
+				result =
+					result.slice(0, start.offset) +
+					replaceLinkpath(
+						reference.original,
+						reference.link,
+						newLinkpath,
+					) +
+					result.slice(end.offset);
+			}
+
+			return result;
+		});
+	}
+
+	if (frontmatterLinks.length > 0) {
+		await app.fileManager.processFrontMatter(
+			note,
+			(frontmatter: FrontMatterCache) => {
+				for (const reference of frontmatterLinks) {
+					updateFrontmatterValue(
+						frontmatter,
+						reference.key,
+						(value) =>
+							replaceLinkpath(value, reference.link, newLinkpath),
+					);
+				}
+			},
+		);
+	}
+
+	return true;
+}
+
+/** Point every link to `from` at `to`, returning the notes that changed */
+export async function redirectLinks(
+	app: App,
+	from: TFile,
+	to: TFile,
+): Promise<string[]> {
+	const notes = getBacklinkPaths(app, from).flatMap((path) => {
+		const note = app.vault.getFileByPath(path);
+		return note ? [note] : [];
+	});
+
+	const changed = await Promise.all(
+		notes.map(async (note) => redirectNoteLinks(app, note, from.path, to)),
+	);
+
+	return notes.filter((_, index) => changed[index]).map((note) => note.path);
+}
+
+/** A link found in raw text, with its path decoded and without subpath */
+export type TextLink = {
+	original: string;
+	linkpath: string;
+	index: number;
+};
+
+const WIKILINK_REGEX = /!?\[\[([^\]|#^]+)[^\]]*]]/g;
+const MARKDOWN_LINK_REGEX = /!?\[[^\]]*]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+function decodeLinkpath(linkpath: string): string {
+	try {
+		return decodeURI(linkpath);
+	} catch {
+		return linkpath;
+	}
+}
+
+/**
+ * Wikilinks and markdown links in `text`, read from the text itself rather
+ * than the metadata cache, which may be stale. Frontmatter is text too.
+ */
+export function findTextLinks(text: string): TextLink[] {
+	const wikilinks = [...text.matchAll(WIKILINK_REGEX)].map((match) => ({
+		original: match[0],
+		linkpath: match[1].trim(),
+		index: match.index,
+	}));
+	const markdownLinks = [...text.matchAll(MARKDOWN_LINK_REGEX)]
+		// External URLs, e.g. https: or obsidian:
+		.filter((match) => !/^<?[a-z][\w+.-]*:/i.test(match[1]))
+		.map((match) => ({
+			original: match[0],
+			linkpath: decodeLinkpath(
+				getLinkpath(match[1].replaceAll(/^<|>$/g, '')),
+			),
+			index: match.index,
+		}));
+
+	return [...wikilinks, ...markdownLinks];
+}
+
+/**
+ * Rewrite the links in `text` for which `getNewLinkpath` returns a new
+ * path. Returns the new text and how many links changed.
+ */
+export function rewriteTextLinks(
+	text: string,
+	getNewLinkpath: (linkpath: string) => string | undefined,
+): {text: string; count: number} {
+	let result = text;
+	let count = 0;
+
+	const links = findTextLinks(text).sort((a, b) => b.index - a.index);
+	for (const link of links) {
+		const newLinkpath = getNewLinkpath(link.linkpath);
+		if (newLinkpath === undefined) continue;
+
+		const replaced = replaceLinkpath(
+			link.original,
+			link.linkpath,
+			newLinkpath,
+		);
+		if (replaced === link.original) continue;
+
+		result =
+			result.slice(0, link.index) +
+			replaced +
+			result.slice(link.index + link.original.length);
+		count++;
+	}
+
+	return {text: result, count};
+}
+
+/** Resolve `./` and `../` segments of a path relative to a note's folder */
+function resolveRelativePath(linkpath: string, sourcePath: string): string {
+	const parts = sourcePath.split('/').slice(0, -1);
+	for (const part of linkpath.split('/')) {
+		if (part === '..') parts.pop();
+		else if (part !== '.' && part !== '') parts.push(part);
+	}
+
+	return parts.join('/');
+}
+
+/**
+ * Whether a link that no longer resolves was meant for `target.oldPath`,
+ * written as a full path, relative path, or shortest unique path.
+ *
+ * With `target.newFile`, a link that resolves to any other file is checked
+ * too, e.g. to a backup of the original with the same name.
+ */
+export function isStaleLinkTo(
+	app: App,
+	linkpath: string,
+	sourcePath: string,
+	target: {oldPath: string; newFile?: TFile},
+): boolean {
+	if (!linkpath) return false;
+	const targetPath = target.oldPath;
+	const destination = app.metadataCache.getFirstLinkpathDest(
+		linkpath,
+		sourcePath,
+	);
+	if (
+		destination &&
+		(!target.newFile ||
+			destination === target.newFile ||
+			destination.path === targetPath)
+	) {
+		return false;
+	}
+
+	const withoutExtension = targetPath.replace(/\.[^./]+$/, '');
+	const candidates = [
+		linkpath.replace(/^\/+/, ''),
+		resolveRelativePath(linkpath, sourcePath),
+	];
+	return candidates.some(
+		(candidate) =>
+			candidate === targetPath ||
+			candidate === withoutExtension ||
+			targetPath.endsWith(`/${candidate}`),
+	);
+}
@@ -1,48 +1,131 @@
-import {execFile} from 'node:child_process';
-import {createHash} from 'node:crypto';
-import path from 'node:path';
-import {promisify} from 'node:util';
 import {
 	type App,
+	type Editor,
 	type EventRef,
 	FileSystemAdapter,
-	Modal,
+	type MarkdownFileInfo,
+	type MarkdownView,
+	type Menu,
 	normalizePath,
 	Notice,
+	Platform,
 	Plugin,
-	PluginSettingTab,
-	Setting,
+	type TAbstractFile,
 	TFile,
+	TFolder,
 } from 'obsidian';
+import {
+	OPTIMIZER_EVENTS,
+	type OptimizeOptions,
+	type OptimizeResult,
+	triggerVetoable,
+} from './api.js';
+import {BackupManager, BackupSuggestModal, isInBackupFolder} from './backup.js';
+import {BatchOptimizer, FolderSuggestModal} from './batch.js';
+import {compressInProcess} from './builtin-compression.js';
+import {
+	checkSavings,
+	extensionToFormat,
+	formatToExtension,
+	type OutputFormat,
+	resetUnsupportedFormats,
+	resolveOutputFormat,
+	runCompressionScript,
+} from './compression.js';
+import {
+	DuplicatesModal,
+	findDuplicates,
+	HashIndex,
+	hashContent,
+	mergeDuplicates,
+} from './dedup.js';
+import {resolveDestination} from './destination.js';
+import {type EditorImage, EditorImageHandler} from './editor-images.js';
+import {OperationJournal} from './journal.js';
+import {applyMetadataPolicy, hasGpsData} from './metadata.js';
+import {Ledger} from './ledger.js';
+import {LEDGER_VIEW_TYPE, LedgerView} from './ledger-view.js';
+import {LinkChecker, LinkReportModal} from './link-check.js';
+import {findTextLinks, redirectLinks} from './links.js';
+import {promptProcessOverrides} from './options-prompt.js';
+import {reviewPlans} from './preview.js';
+import {ProcessingQueue, QueueModal} from './queue.js';
+import {parseExtensions, RuleChecker, type RuleSubject} from './rules.js';
+import {
+	DEFAULT_SETTINGS,
+	type PluginSettings,
+	SampleSettingTab,
+} from './settings.js';
+import type {
+	ImagePlanner,
+	PlanDecision,
+	ProcessFile,
+	ProcessOptions,
+	ProcessOverrides,
+	ProcessPlan,
+	ProcessResult,
+} from './types.js';
+import {hashForName} from './hash.js';
+import {getImageSize, hasPngTransparency} from './image-size.js';
+import {
+	formatDate,
+	isOptimized,
+	refreshHashes,
+	renderTemplate,
+	resolveTemplate,
+	sanitizeBasename,
+	type TemplateContext,
+} from './template.js';
+import {slugify} from './slug.js';
+import {
+	buildPictureSnippet,
+	getVariantPath,
+	parseWidths,
+	type Variant,
+	type VariantEntry,
+	VariantManifest,
+} from './variants.js';
+import {
+	capitalize,
+	ensureFolder,
+	getAvailableFilePath,
+	getBacklinkPaths,
+	joinPath,
+} from './utils.js';
 
-type PluginSettings = {
-	runtimeAbsolutePath: string;
-	compressionScriptAbsolutePath: string;
-	isTriggerOnCreate: boolean;
-};
-
-const DEFAULT_SETTINGS: PluginSettings = {
-	runtimeAbsolutePath: '',
-	compressionScriptAbsolutePath: '',
-	isTriggerOnCreate: true,
+/** What an image's name is made of, in the vault or pasted alike */
+type NameSource = {
+	basename: string;
+	extension: string;
+	// Name of the parent folder, empty for the vault root
+	folder: string;
+	// The note embedding the image
+	note?: TFile;
 };
 
-const execFileAsync = promisify(execFile);
-
-function isImage(file: TFile): boolean {
-	return /\.(png|jpe?g|webp)$/i.test(file.path);
-}
+/** A pasted image before it is written, as far as the rules and prompt look */
+type PendingImage = RuleSubject & Pick<TFile, 'name' | 'basename'>;
 
-function slugify(name: string): string {
-	return name
-		.toLowerCase()
-		.replaceAll(/[^a-z\d]+/g, '-')
-		.replaceAll(/^-+|-+$/g, '');
-}
+type CompressedImage = {
+	file: TFile;
+	format: string;
+	width?: number;
+	height?: number;
+};
 
 export default class MyPlugin extends Plugin {
 	settings: PluginSettings;
 	imageHandler: ImageCreateHandler;
+	editorImageHandler: EditorImageHandler;
+	batchOptimizer: BatchOptimizer;
+	queue: ProcessingQueue;
+	rules: RuleChecker;
+	journal: OperationJournal;
+	backups: BackupManager;
+	hashIndex: HashIndex;
+	linkChecker: LinkChecker;
+	ledger: Ledger;
+	variants: VariantManifest;
 
 	async onload() {
 		// Manual command from Command Palette
@@ -57,19 +140,215 @@ export default class MyPlugin extends Plugin {
 					return;
 				}
 
-				if (!isImage(file)) {
+				if (!this.rules.isAllowedExtension(file)) {
 					new Notice('Image Optimizer: Active file is not an image');
 					return;
 				}
 
-				await this.processFile(file);
+				await this.optimizeManually(file);
+			},
+		});
+		this.addCommand({
+			id: 'optimize-folder-images',
+			name: 'Optimize all images in folder',
+			callback: () => {
+				new FolderSuggestModal(this.app, (folder) => {
+					void this.batchOptimizer.run(
+						this.batchOptimizer.collectImages(folder),
+						folder.isRoot() ? 'vault' : folder.path,
+						this.settings.isPreviewEnabled,
+					);
+				}).open();
+			},
+		});
+		this.addCommand({
+			id: 'optimize-vault-images',
+			name: 'Optimize all images in vault',
+			callback: async () => {
+				await this.batchOptimizer.run(
+					this.batchOptimizer.collectImages(),
+					'vault',
+					this.settings.isPreviewEnabled,
+				);
+			},
+		});
+		this.addCommand({
+			id: 'cancel-batch-optimization',
+			name: 'Cancel batch optimization',
+			checkCallback: (checking) => {
+				if (!this.batchOptimizer.running) return false;
+				if (!checking) this.batchOptimizer.cancel();
+				return true;
+			},
+		});
+		this.addCommand({
+			id: 'show-processing-queue',
+			name: 'Show processing queue',
+			callback: () => {
+				new QueueModal(this.app, this.queue).open();
+			},
+		});
+		this.addCommand({
+			id: 'clear-processing-queue',
+			name: 'Clear pending jobs in processing queue',
+			callback: () => {
+				const count = this.queue.clear();
+				new Notice(`Image Optimizer: Cleared ${count} pending job(s)`);
+			},
+		});
+		this.addCommand({
+			id: 'undo-last-optimization',
+			name: 'Undo last optimization',
+			callback: async () => {
+				const [entry] = this.journal.getEntries();
+				if (!entry) {
+					new Notice('Image Optimizer: Nothing to undo');
+					return;
+				}
+
+				await this.backups.restoreWithNotice(entry);
+			},
+		});
+		this.addCommand({
+			id: 'restore-image-from-backup',
+			name: 'Restore image from backup',
+			callback: () => {
+				const entries = this.backups.getRestorableEntries();
+				if (entries.length === 0) {
+					new Notice('Image Optimizer: No backed up images found');
+					return;
+				}
+
+				new BackupSuggestModal(this.app, entries, (entry) => {
+					void this.backups.restoreWithNotice(entry);
+				}).open();
+			},
+		});
+		this.addCommand({
+			id: 'find-duplicate-images',
+			name: 'Find duplicate images',
+			callback: async () => {
+				await this.findDuplicateImages();
+			},
+		});
+		this.addCommand({
+			id: 'check-image-links',
+			name: 'Check image links',
+			callback: async () => {
+				await this.checkImageLinks();
+			},
+		});
+		this.addCommand({
+			id: 'verify-image-hashes',
+			name: 'Verify image hashes',
+			callback: async () => {
+				await this.verifyImageHashes();
+			},
+		});
+		this.addCommand({
+			id: 'copy-picture-snippet',
+			name: 'Copy responsive image snippet of active image',
+			callback: async () => {
+				await this.copyPictureSnippet();
+			},
+		});
+		this.addCommand({
+			id: 'show-optimization-history',
+			name: 'Show optimization history',
+			callback: async () => {
+				await this.showLedgerView();
 			},
 		});
 		// This adds a settings tab so the user can configure various aspects of the plugin
 		await this.loadSettings();
-		this.imageHandler = new ImageCreateHandler(
+		this.journal = new OperationJournal(
+			this.app,
+			normalizePath(`${this.manifest.dir ?? ''}/journal.json`),
+		);
+		await this.journal.load();
+		this.linkChecker = new LinkChecker(this.app, this.journal);
+		this.hashIndex = new HashIndex(
+			this.app,
+			normalizePath(`${this.manifest.dir ?? ''}/hash-index.json`),
+		);
+		await this.hashIndex.load();
+		this.ledger = new Ledger(
+			this.app,
+			normalizePath(`${this.manifest.dir ?? ''}/ledger.json`),
+		);
+		await this.ledger.load();
+		this.variants = new VariantManifest(
+			this.app,
+			normalizePath(`${this.manifest.dir ?? ''}/variants.json`),
+		);
+		await this.variants.load();
+		this.registerView(
+			LEDGER_VIEW_TYPE,
+			(leaf) =>
+				new LedgerView(leaf, this.ledger, async (file) =>
+					this.queue.add(file),
+				),
+		);
+		this.registerEvent(
+			this.app.vault.on('rename', (file, oldPath) => {
+				this.hashIndex.rename(oldPath, file.path);
+				if (file instanceof TFile) {
+					void this.variants.onRename(file, oldPath);
+				}
+			}),
+		);
+		this.registerEvent(
+			this.app.vault.on('delete', (file) => {
+				this.hashIndex.remove(file.path);
+				void this.variants.onDelete(file.path);
+			}),
+		);
+		this.watchEditedImages();
+		this.registerContextMenus();
+		this.backups = new BackupManager(
 			this.app,
+			this.journal,
+			() => this.settings,
+		);
+		this.rules = new RuleChecker(this.app, () => this.settings);
+		this.queue = new ProcessingQueue(
 			this.processFile.bind(this) as typeof this.processFile,
+			() => ({
+				concurrency: this.settings.queueConcurrency,
+				maxRetries: this.settings.queueMaxRetries,
+			}),
+			(file, result) => {
+				this.recordResult(file, result);
+			},
+		);
+		this.imageHandler = new ImageCreateHandler(
+			this.app,
+			this.queue.add.bind(this.queue) as typeof this.queue.add,
+			this.rules,
+			this.promptOverrides.bind(this) as typeof this.promptOverrides,
+		);
+		this.editorImageHandler = new EditorImageHandler(
+			this.app,
+			this.canOptimizeInEditor.bind(this) as (
+				extension: string,
+			) => boolean,
+			this.writeEditorImage.bind(this) as typeof this.writeEditorImage,
+		);
+		this.batchOptimizer = new BatchOptimizer(
+			this.app,
+			this.queue.add.bind(this.queue) as typeof this.queue.add,
+			this.rules,
+			{
+				// Previews skip the queue, so record their failures here
+				plan: async (file, options) =>
+					this.recordResult(file, await this.planFile(file, options)),
+				commit: async (plan, options) =>
+					this.recordResult(
+						plan.file,
+						await this.commitPlan(plan, options),
+					),
+				discard: this.discardPlan.bind(this) as ImagePlanner['discard'],
+			},
 		);
 		this.app.workspace.onLayoutReady(() => {
 			this.applySettings();
@@ -78,11 +357,33 @@ export default class MyPlugin extends Plugin {
 	}
 
 	async loadSettings() {
-		const loaded = (await this.loadData()) as Partial<PluginSettings>;
+		const loaded = (await this.loadData()) as
+			| Partial<PluginSettings>
+			| undefined;
 		this.settings = {
 			...DEFAULT_SETTINGS,
+			// Installs from before the versioned protocol keep their script working
+			...(loaded && !loaded.scriptProtocol && {scriptProtocol: 'legacy'}),
+			// Installs with a configured script keep using it
+			...(loaded &&
+				!loaded.compressionBackend &&
+				loaded.runtimeAbsolutePath && {compressionBackend: 'script'}),
 			...loaded,
+			// Installs with the old default extensions also get AVIF and GIF
+			...(loaded?.allowedExtensions === 'png, jpg, jpeg, webp' && {
+				allowedExtensions: DEFAULT_SETTINGS.allowedExtensions,
+			}),
+			// Copied, the settings tab edits it in place
+			formatRules: {
+				...DEFAULT_SETTINGS.formatRules,
+				...loaded?.formatRules,
+			},
 		};
+		// E.g. AVIF left over from a script, or edited by hand
+		resetUnsupportedFormats(
+			this.settings,
+			this.settings.compressionBackend,
+		);
 	}
 
 	async saveSettings() {
@@ -95,6 +396,12 @@ export default class MyPlugin extends Plugin {
 		} else {
 			this.imageHandler.disable();
 		}
+
+		if (this.settings.isEditorHookEnabled) {
+			this.editorImageHandler.enable();
+		} else {
+			this.editorImageHandler.disable();
+		}
 	}
 
 	async updateSettings(newSettings: Partial<PluginSettings>) {
@@ -105,6 +412,200 @@ export default class MyPlugin extends Plugin {
 
 	onunload() {
 		this.imageHandler.disable();
+		this.editorImageHandler.disable();
+		this.batchOptimizer.cancel();
+		this.queue.clear();
+	}
+
+	/* -------------------------------- api ----------------------------------- */
+	// For other plugins and scripts, via `app.plugins.getPlugin('image-optimizer')`
+
+	/**
+	 * Optimize `file` through the queue, like the manual command but without
+	 * the prompt, preview or rules. The result has the old and new path.
+	 */
+	async optimize(
+		file: TFile,
+		options: OptimizeOptions = {},
+	): Promise<OptimizeResult> {
+		const oldPath = file.path;
+		const {quiet, ...overrides} = options;
+		const result = await this.queue.add(file, {quiet, overrides});
+		return {...result, oldPath};
+	}
+
+	/**
+	 * Path `file` would get, without writing anything. Compression still runs
+	 * on a temporary copy, for the format and hash. Undefined when it would be
+	 * skipped, e.g. when it is already optimized.
+	 */
+	async planName(
+		file: TFile,
+		overrides: ProcessOverrides = {},
+	): Promise<string | undefined> {
+		const plan = await this.planFile(file, {
+			quiet: true,
+			skipMetadataWait: true,
+			overrides,
+			isDryRun: true,
+		});
+		if ('status' in plan) return undefined;
+
+		await this.discardPlan(plan);
+		return plan.duplicateOf ?? plan.newPath;
+	}
+
+	/**
+	 * Whether the plugin wrote `file`, or it has a name the filename template
+	 * made, or is a responsive variant
+	 */
+	isOptimized(file: TFile): boolean {
+		return (
+			this.variants.isVariant(file.path) ||
+			this.hashIndex.isNamed(file.path) ||
+			isOptimized(file, this.settings.filenameTemplate, this.settings)
+		);
+	}
+
+	/** Per-image overrides from the options prompt, undefined to skip */
+	private async promptOverrides(
+		file: Pick<TFile, 'name' | 'basename'>,
+	): Promise<ProcessOverrides | undefined> {
+		if (!this.settings.isPromptEnabled) return {};
+
+		return promptProcessOverrides(this.app, file, this.settings);
+	}
+
+	/** Optimize one image by hand: the rules are overridden, the prompt and preview still apply */
+	private async optimizeManually(file: TFile) {
+		// Manual runs override the rules, but say so
+		const rules = await this.rules.check(file);
+		if (!rules.isAllowed) {
+			new Notice(
+				`Image Optimizer: ${file.name} is excluded by the rules (${rules.reason}), optimizing anyway`,
+			);
+		}
+
+		const overrides = await this.promptOverrides(file);
+		if (!overrides) {
+			new Notice(`Image Optimizer: Skipped ${file.name}`);
+			return;
+		}
+
+		await this.queue.add(file, {
+			overrides,
+			...(this.settings.isPreviewEnabled && {
+				confirm: async (plan) => {
+					const [decision] = await reviewPlans(this.app, [plan]);
+					return decision;
+				},
+			}),
+		});
+	}
+
+	/* ---------------------------- context menus ----------------------------- */
+
+	private registerContextMenus() {
+		this.registerEvent(
+			this.app.workspace.on('file-menu', (menu, file) => {
+				this.addFilesMenuItem(menu, [file]);
+			}),
+		);
+		this.registerEvent(
+			this.app.workspace.on('files-menu', (menu, files) => {
+				this.addFilesMenuItem(menu, files);
+			}),
+		);
+		this.registerEvent(
+			this.app.workspace.on('editor-menu', (menu, editor, info) => {
+				this.addEmbedMenuItem(menu, editor, info);
+			}),
+		);
+	}
+
+	/** Images among `files`, folders included with every image inside them */
+	private collectMenuImages(files: TAbstractFile[]): TFile[] {
+		const images = files.flatMap((file) => {
+			if (file instanceof TFolder) {
+				return this.batchOptimizer.collectImages(file);
+			}
+
+			return file instanceof TFile && this.rules.isAllowedExtension(file)
+				? [file]
+				: [];
+		});
+		return [...new Set(images)];
+	}
+
+	private addFilesMenuItem(menu: Menu, files: TAbstractFile[]) {
+		const images = this.collectMenuImages(files);
+		if (images.length === 0) return;
+
+		const [file] = files;
+		// A single image goes through the prompt, like the command
+		if (files.length === 1 && file instanceof TFile) {
+			menu.addItem((item) =>
+				item
+					.setTitle('Optimize image')
+					.setIcon('image-down')
+					.onClick(async () => this.optimizeManually(file)),
+			);
+			return;
+		}
+
+		const label =
+			files.length === 1 && file instanceof TFolder
+				? file.isRoot()
+					? 'vault'
+					: file.path
+				: `${images.length} selected images`;
+		menu.addItem((item) =>
+			item
+				.setTitle(
+					images.length === 1
+						? 'Optimize 1 image'
+						: `Optimize ${images.length} images`,
+				)
+				.setIcon('image-down')
+				.onClick(async () =>
+					this.batchOptimizer.run(
+						images,
+						label,
+						this.settings.isPreviewEnabled,
+					),
+				),
+		);
+	}
+
+	/** Offer to optimize the image embedded under the cursor */
+	private addEmbedMenuItem(
+		menu: Menu,
+		editor: Editor,
+		info: MarkdownView | MarkdownFileInfo,
+	) {
+		if (!info.file) return;
+
+		const cursor = editor.getCursor();
+		const embed = findTextLinks(editor.getLine(cursor.line)).find(
+			(link) =>
+				link.original.startsWith('!') &&
+				link.index <= cursor.ch &&
+				cursor.ch <= link.index + link.original.length,
+		);
+		const file =
+			embed &&
+			this.app.metadataCache.getFirstLinkpathDest(
+				embed.linkpath,
+				info.file.path,
+			);
+		if (!file || !this.rules.isAllowedExtension(file)) return;
+
+		menu.addItem((item) =>
+			item
+				.setTitle('Optimize image')
+				.setIcon('image-down')
+				.onClick(async () => this.optimizeManually(file)),
+		);
 	}
 
 	/* -------------------- only run after metadata ready --------------------- */
@@ -129,8 +630,10 @@ export default class MyPlugin extends Plugin {
 		});
 	}
 
+	/** Adds a decision to `decisions` when the cache was not ready in time */
 	private async waitForMetadataReady(
 		file: TFile,
+		decisions: string[],
 		timeout = 5000,
 	): Promise<void> {
 		const start = Date.now();
@@ -145,6 +648,7 @@ export default class MyPlugin extends Plugin {
 			}
 
 			if (Date.now() - start > timeout) {
+				decisions.push('metadata cache was not ready');
 				return;
 			}
 
@@ -160,7 +664,29 @@ export default class MyPlugin extends Plugin {
 		await check();
 	}
 
+	/** The vault indexes files written by other processes with a short delay */
+	private async waitForFile(
+		filePath: string,
+		timeout = 2000,
+	): Promise<TFile | undefined> {
+		const start = Date.now();
+
+		const check = async (): Promise<TFile | undefined> => {
+			const file = this.app.vault.getAbstractFileByPath(filePath);
+			if (file instanceof TFile) return file;
+			if (Date.now() - start > timeout) return undefined;
+
+			await this.delay(100);
+			return check();
+		};
+
+		return check();
+	}
+
 	private getVaultBasePath(): string | undefined {
+		// FileSystemAdapter is not defined on mobile
+		if (!Platform.isDesktopApp) return undefined;
+
 		const adapter = this.app.vault.adapter;
 		if (adapter instanceof FileSystemAdapter) {
 			return adapter.getBasePath(); // absolute path to vault
@@ -169,196 +695,1408 @@ export default class MyPlugin extends Plugin {
 		return undefined;
 	}
 
-	/* ------------------------------- - ----------------------------------- */
+	/* ---------------------------- compress -------------------------------- */
 
-	private async processFile(file: TFile): Promise<void> {
-		const oldName = file.name;
+	/**
+	 * Compress with the selected backend, returning the `.temp` output.
+	 * Undefined when the format rules keep a format that cannot be encoded.
+	 */
+	private async compress(
+		file: TFile,
+		settings: PluginSettings,
+	): Promise<CompressedImage | ProcessResult | undefined> {
+		// Legacy scripts always write `<name>.temp`, the other backends get a
+		// path of their own per source, so `a.png` and `a.jpg` don't collide
+		const isLegacy =
+			settings.compressionBackend === 'script' &&
+			settings.scriptProtocol === 'legacy';
+		const compressedRelativePath = normalizePath(
+			isLegacy
+				? `${file.path.slice(0, -file.extension.length - 1)}.temp`
+				: `${file.path}.temp`,
+		);
+		const format = resolveOutputFormat(
+			file.extension,
+			settings,
+			file.extension.toLowerCase() === 'png' &&
+				hasPngTransparency(await this.app.vault.readBinary(file)),
+		);
+		if (!format) return undefined;
 
-		// Skip if filename already ends with a slug-hash pattern
-		const extension = file.extension.toLowerCase();
-		const basename = file.basename;
-		const fullName = `${basename}.${extension}`;
-		if (/-[a-f\d]{8}\.[a-z]{2,4}$/i.test(fullName)) {
-			new Notice(`Image Optimizer: Skipping ${fullName}, already hashed`);
-			return;
+		// Never reuse or overwrite another job's output
+		if (await this.app.vault.adapter.exists(compressedRelativePath)) {
+			return {
+				status: 'failed',
+				reason: `${compressedRelativePath} already exists, it may be another image's output`,
+				isRetryable: true,
+			};
 		}
 
-		/* ---------------------------- compress -------------------------------- */
+		return settings.compressionBackend === 'builtin'
+			? this.compressInProcess(
+					file,
+					compressedRelativePath,
+					settings,
+					format,
+				)
+			: this.compressWithScript(
+					file,
+					compressedRelativePath,
+					settings,
+					format,
+				);
+	}
+
+	/** Compress unless disabled, edited images only when recompressing is on */
+	private async compressIfEnabled(
+		file: TFile,
+		settings: PluginSettings,
+		decisions: string[],
+		isStale: boolean,
+	): Promise<CompressedImage | ProcessResult | undefined> {
+		if (!settings.isCompressEnabled) return undefined;
+		if (isStale && !settings.isRehashRecompressed) return undefined;
+
+		return this.compressWithPolicy(file, settings, decisions);
+	}
+
+	/**
+	 * Compress, unless the policies leave the original as it is. Their
+	 * decisions are added to `decisions`.
+	 */
+	private async compressWithPolicy(
+		file: TFile,
+		settings: PluginSettings,
+		decisions: string[],
+	): Promise<CompressedImage | ProcessResult | undefined> {
+		const {skipCompressionBelowKb, maxWidth, maxHeight} = settings;
+		if (
+			skipCompressionBelowKb > 0 &&
+			file.stat.size / 1024 < skipCompressionBelowKb
+		) {
+			decisions.push(
+				`not compressed, under ${skipCompressionBelowKb} KB`,
+			);
+			return undefined;
+		}
+
+		const originalSize =
+			maxWidth > 0 || maxHeight > 0
+				? getImageSize(await this.app.vault.readBinary(file))
+				: undefined;
 
-		if (!this.settings.runtimeAbsolutePath) {
+		const result = await this.compress(file, settings);
+		if (!result) {
+			decisions.push(`not compressed, .${file.extension} is kept as is`);
+			return undefined;
+		}
+
+		if ('status' in result) return result;
+
+		const keptReason = checkSavings(
+			file.stat.size,
+			result.file.stat.size,
+			settings,
+		);
+		if (keptReason) {
+			await this.app.vault.delete(result.file);
+			decisions.push(keptReason);
+			return undefined;
+		}
+
+		if (
+			originalSize &&
+			result.width &&
+			result.height &&
+			result.width < originalSize.width
+		) {
+			decisions.push(`downscaled to ${result.width}×${result.height}`);
+		}
+
+		return result;
+	}
+
+	private async compressInProcess(
+		file: TFile,
+		compressedRelativePath: string,
+		settings: PluginSettings,
+		format: OutputFormat,
+	): Promise<CompressedImage | ProcessResult> {
+		const original = await this.app.vault.readBinary(file);
+		const result = await compressInProcess(original, file.extension, {
+			format,
+			quality: settings.quality,
+			maxWidth: settings.maxWidth,
+			maxHeight: settings.maxHeight,
+		});
+
+		if (!result.ok) {
+			return {
+				status: 'failed',
+				reason: `Image compression failed: ${result.error}`,
+			};
+		}
+
+		// The encoders drop all metadata, carry over what the policy keeps
+		const data = applyMetadataPolicy(
+			result.data,
+			settings.metadataPolicy,
+			original,
+		);
+
+		// Fails when another job created the path in the meantime
+		return {
+			file: await this.app.vault.createBinary(
+				compressedRelativePath,
+				data,
+			),
+			format: result.format,
+			width: result.width,
+			height: result.height,
+		};
+	}
+
+	/** Run the external compression script */
+	private async compressWithScript(
+		file: TFile,
+		compressedRelativePath: string,
+		settings: PluginSettings,
+		format: OutputFormat,
+	): Promise<CompressedImage | ProcessResult> {
+		// Settings errors concern every file, so always show them
+		if (!settings.runtimeAbsolutePath) {
 			new Notice(
 				'Image Optimizer: Missing runtime absolute path. See settings.',
 			);
-			return;
+			return {status: 'failed', reason: 'Missing runtime absolute path'};
 		}
 
-		if (!this.settings.compressionScriptAbsolutePath) {
+		if (!settings.compressionScriptAbsolutePath) {
 			new Notice(
 				'Image Optimizer: Missing compression script absolute path. See settings.',
 			);
-			return;
+			return {
+				status: 'failed',
+				reason: 'Missing compression script absolute path',
+			};
 		}
 
-		// Get absolute file path
+		// Scripts need a runtime, which only exists on desktop
 		const basePath = this.getVaultBasePath();
-		if (!basePath) throw new Error('Should never reach here');
-		const absoluteFilePath = path.join(basePath, file.path);
+		if (!basePath) {
+			return {
+				status: 'failed',
+				reason: 'The script backend is only available on desktop, use the built-in backend',
+			};
+		}
 
 		// run external compression script
 		// since `sharp` cannot run in Obsidian native bindings, or something
-		try {
-			// TODO: allow custom compression args
-			await execFileAsync(this.settings.runtimeAbsolutePath, [
-				this.settings.compressionScriptAbsolutePath,
-				absoluteFilePath,
-			]);
-		} catch (error) {
-			console.error('Error during compression:', error);
-			new Notice('Image Optimizer: Image compression failed.');
+		const result = await runCompressionScript(
+			// The format rules already picked the format for this file
+			{...settings, outputFormat: format},
+			basePath,
+			file.path,
+			compressedRelativePath,
+		);
+
+		if (!result.ok) {
+			// Don't leave a half-written output behind
+			if (await this.app.vault.adapter.exists(compressedRelativePath)) {
+				await this.app.vault.adapter.remove(compressedRelativePath);
+			}
+
+			return {
+				status: 'failed',
+				reason: `Image compression failed: ${result.error}`,
+			};
 		}
 
 		// Find new compressed file
-		const compressedRelativePath = normalizePath(
-			`${file.path.slice(0, -extension.length - 1)}.temp`,
+		const compressedFile = await this.waitForFile(
+			normalizePath(result.output),
 		);
-		const compressedFile = this.app.vault.getAbstractFileByPath(
-			compressedRelativePath,
+		if (!compressedFile) {
+			return {
+				status: 'failed',
+				reason: 'Image compression failed, compressed file not found',
+				isRetryable: true,
+			};
+		}
+
+		// Scripts may not know the policy, so enforce it on what they wrote
+		if (settings.metadataPolicy !== 'keep') {
+			const output = await this.app.vault.readBinary(compressedFile);
+			const filtered = applyMetadataPolicy(
+				output,
+				settings.metadataPolicy,
+			);
+			if (filtered !== output) {
+				await this.app.vault.modifyBinary(compressedFile, filtered);
+			}
+		}
+
+		return {
+			file: compressedFile,
+			format: result.format,
+			width: result.width,
+			height: result.height,
+		};
+	}
+
+	/* ------------------------------ name ---------------------------------- */
+
+	private getNameSource(file: TFile): NameSource {
+		const [notePath] = getBacklinkPaths(this.app, file);
+		return {
+			basename: file.basename,
+			extension: file.extension,
+			folder: file.parent?.isRoot() ? '' : (file.parent?.name ?? ''),
+			note: notePath
+				? (this.app.vault.getFileByPath(notePath) ?? undefined)
+				: undefined,
+		};
+	}
+
+	private getTemplateContext(
+		source: NameSource,
+		buffer: ArrayBuffer,
+		hash: string | undefined,
+		settings: PluginSettings,
+	): TemplateContext {
+		const size = getImageSize(buffer);
+		const {note} = source;
+		const date = new Date();
+
+		return {
+			// Names of only symbols or unsupported scripts leave nothing to slugify
+			slug:
+				slugify(source.basename, settings) ||
+				slugify(note?.basename ?? '', settings) ||
+				formatDate(date, `YYYYMMDD${settings.slugSeparator}HHmmss`),
+			originalName: source.basename,
+			hash,
+			hashLength: settings.hashLength,
+			date,
+			noteName: note?.basename ?? '',
+			folder: source.folder,
+			width: size?.width,
+			height: size?.height,
+			ext: source.extension.toLowerCase(),
+		};
+	}
+
+	/** Basename from the name chosen for this file, or the template */
+	private renderBasename(
+		file: TFile,
+		buffer: ArrayBuffer,
+		hash: string,
+		settings: PluginSettings & ProcessOverrides,
+	): string {
+		const chosen = sanitizeBasename(settings.basename ?? '');
+		if (chosen) return chosen;
+
+		const template = resolveTemplate(settings.filenameTemplate, settings);
+		// Names the template made before, e.g. of edited images, only get a new hash
+		if (isOptimized(file, settings.filenameTemplate, settings)) {
+			return (
+				refreshHashes(file.basename, template, hash, settings) ??
+				file.basename
+			);
+		}
+
+		const context = this.getTemplateContext(
+			this.getNameSource(file),
+			buffer,
+			settings.isHashEnabled ? hash : undefined,
+			settings,
 		);
-		if (!(compressedFile instanceof TFile) || !compressedFile) {
-			new Notice('Image Optimizer: Compressed file not found in vault.');
-			return;
+		return renderTemplate(template, context) || context.slug;
+	}
+
+	/** Whether the name has a template hash that no longer matches the content */
+	private async hasStaleHash(
+		file: TFile,
+		settings: PluginSettings,
+	): Promise<boolean> {
+		if (
+			!settings.isHashEnabled ||
+			!isOptimized(file, settings.filenameTemplate, settings)
+		) {
+			return false;
 		}
 
-		/* ------------------------------ hash ---------------------------------- */
-		const arrayBuffer = await this.app.vault.readBinary(compressedFile);
-		const hash = createHash('md5')
-			.update(Buffer.from(arrayBuffer))
-			.digest('hex')
-			.slice(0, 8);
+		// Names the plugin gave are stale once the content changed
+		const isEdited = await this.hashIndex.isEdited(file);
+		if (isEdited !== undefined) return isEdited;
 
-		/* ------------------------------ slug ---------------------------------- */
-		const slug = slugify(basename);
-		// TODO: settings template for new file extension
-		const newName = `${slug}-${hash}.webp`;
+		// Otherwise only a hash of the output can be checked against the content
+		if (settings.hashSource !== 'output') return false;
 
-		// get new route
-		const parentPath = (() => {
-			if (file.parent?.path === '/') {
-				return '.';
-			}
+		return (
+			refreshHashes(
+				file.basename,
+				resolveTemplate(settings.filenameTemplate, settings),
+				await hashForName(
+					await this.app.vault.readBinary(file),
+					settings,
+				),
+				settings,
+			) !== undefined
+		);
+	}
+
+	/** Hash for the filename, of the output or the original as configured */
+	private async getNameHash(
+		file: TFile,
+		output: ArrayBuffer,
+		settings: PluginSettings,
+	): Promise<string> {
+		return hashForName(
+			settings.hashSource === 'original'
+				? await this.app.vault.readBinary(file)
+				: output,
+			settings,
+		);
+	}
+
+	/**
+	 * Folder the destination rules send `file` to, or its own folder. Adds a
+	 * decision to `decisions` when it moves.
+	 */
+	private getDestinationFolder(
+		file: TFile,
+		settings: PluginSettings,
+		decisions: string[],
+	): string {
+		// Empty for the vault root, like the rules' folders
+		const folderPath = file.parent?.isRoot()
+			? ''
+			: (file.parent?.path ?? '');
+		const destination = resolveDestination(this.app, settings, {
+			folderPath,
+			note: this.getNameSource(file).note,
+		});
+		if (destination === undefined || destination === folderPath) {
+			return folderPath;
+		}
+
+		decisions.push(`moved to ${destination || '/'}`);
+		return destination;
+	}
+
+	/* ------------------------------- - ----------------------------------- */
+
+	private getNotifier(options: ProcessOptions) {
+		return (message: string, duration?: number) => {
+			if (!options.quiet)
+				new Notice(`Image Optimizer: ${message}`, duration);
+		};
+	}
+
+	private async processFile(
+		file: TFile,
+		options: ProcessOptions = {},
+	): Promise<ProcessResult> {
+		const plan = await this.planFile(file, options);
+		if ('status' in plan) return plan;
+
+		const decision: PlanDecision = options.confirm
+			? await options.confirm(plan)
+			: {isApproved: true, basename: plan.basename};
+
+		if (!decision.isApproved) {
+			await this.discardPlan(plan);
+			this.getNotifier(options)(`Skipped ${file.name}`);
+			return {status: 'skipped', reason: 'Skipped in preview'};
+		}
+
+		return this.commitPlan({...plan, basename: decision.basename}, options);
+	}
+
+	/** Settings with the overrides chosen for one file */
+	private getFileSettings(
+		overrides: ProcessOverrides = {},
+	): PluginSettings & ProcessOverrides {
+		const settings = {...this.settings, ...overrides};
+		// A format chosen for this one file wins over the format rules
+		if (overrides.outputFormat) {
+			settings.formatRules = {};
+			settings.isTransparentPngKept = false;
+		}
+
+		return settings;
+	}
+
+	/** Why `file` needs no processing, undefined when it does */
+	private getSkipReason(
+		file: TFile,
+		settings: PluginSettings,
+		isStale: boolean,
+		options: ProcessOptions,
+	): string | undefined {
+		// Variants are made from their main image
+		if (this.variants.isVariant(file.path)) return 'Responsive variant';
+
+		// Skip files the plugin named, or whose name looks like the template's
+		if (
+			!isStale &&
+			(this.hashIndex.isNamed(file.path) ||
+				isOptimized(file, settings.filenameTemplate, settings))
+		) {
+			return 'Already optimized';
+		}
+
+		// Only ask other plugins about files that are really processed
+		if (options.isDryRun) return undefined;
+
+		return triggerVetoable(
+			this.app.workspace,
+			OPTIMIZER_EVENTS.beforeProcess,
+			file,
+		);
+	}
+
+	/** Compress and name `file`, without renaming or deleting anything yet */
+	private async planFile(
+		file: TFile,
+		options: ProcessOptions = {},
+	): Promise<ProcessPlan | ProcessResult> {
+		const notify = this.getNotifier(options);
+		const settings = this.getFileSettings(options.overrides);
+		const {isCompressEnabled, isSlugifyEnabled, isHashEnabled} = settings;
+
+		if (!isCompressEnabled && !isSlugifyEnabled && !isHashEnabled) {
+			notify('All pipeline steps are disabled. See settings.');
+			return {
+				status: 'skipped',
+				reason: 'All pipeline steps are disabled',
+			};
+		}
+
+		// An edited image keeps its old hash in the name, re-hash it instead
+		const isStale = await this.hasStaleHash(file, settings);
+
+		const skipReason = this.getSkipReason(file, settings, isStale, options);
+		if (skipReason) {
+			notify(`Skipping ${file.name}, ${skipReason.toLowerCase()}`);
+			return {status: 'skipped', reason: skipReason};
+		}
+
+		/* ---------------------------- compress -------------------------------- */
+
+		// Why the file was (partly) left alone, shown with the result
+		const decisions: string[] = isStale
+			? ['content changed, re-hashed']
+			: [];
+		const compressed = await this.compressIfEnabled(
+			file,
+			settings,
+			decisions,
+			isStale,
+		);
+		if (compressed && 'status' in compressed) {
+			notify(compressed.reason ?? 'Image compression failed.');
+			return compressed;
+		}
+
+		const compressedFile = compressed?.file;
+
+		if (!options.skipMetadataWait) {
+			notify(`Waiting for metadata cache...`);
+			// await fresh metadata before starting anything
+			await this.waitForMetadataReady(file, decisions);
+		}
+
+		/* ------------------------------ name ---------------------------------- */
+
+		const outputFile = compressedFile ?? file;
+		const buffer = await this.app.vault.readBinary(outputFile);
+		const hash = hashContent(buffer);
+		this.addLocationDecision(
+			decisions,
+			buffer,
+			compressedFile && (await this.app.vault.readBinary(file)),
+			getBacklinkPaths(this.app, file),
+		);
+		const basename = this.renderBasename(
+			file,
+			buffer,
+			await this.getNameHash(file, buffer, settings),
+			settings,
+		);
+		const extension = compressed
+			? formatToExtension(compressed.format)
+			: file.extension;
+		const folderPath = this.getDestinationFolder(file, settings, decisions);
+		const newPath = getAvailableFilePath(
+			this.app,
+			joinPath(folderPath, `${basename}.${extension}`),
+			file,
+		);
+
+		const size = compressed?.width ? compressed : getImageSize(buffer);
+
+		const duplicate = settings.isDeduplicationEnabled
+			? this.hashIndex.findByHash(hash, file.path)
+			: undefined;
+		if (duplicate) decisions.push(`duplicate of ${duplicate.path}`);
+
+		// Nothing changes on disk, e.g. only slugifying an already slugified name
+		if (!compressedFile && !duplicate && newPath === file.path) {
+			const reason = ['name is unchanged', ...decisions].join(', ');
+			notify(`Skipping ${file.name}, ${reason}`);
+			return {status: 'skipped', reason: capitalize(reason)};
+		}
+
+		return {
+			file,
+			compressedFile,
+			basename,
+			extension,
+			folderPath,
+			newPath,
+			sizeBefore: file.stat.size,
+			sizeAfter: buffer.byteLength,
+			width: size?.width,
+			height: size?.height,
+			backend: compressed ? settings.compressionBackend : undefined,
+			linkedNotes: getBacklinkPaths(this.app, file),
+			decisions,
+			hash,
+			isEdited: isStale,
+			duplicateOf: duplicate?.path,
+		};
+	}
+
+	/** Rename and replace the original as planned, and journal it */
+	private async commitPlan(
+		plan: ProcessPlan,
+		options: ProcessOptions = {},
+	): Promise<ProcessResult> {
+		const {file, compressedFile} = plan;
+		const oldName = file.name;
+		const oldPath = file.path;
+		const notify = this.getNotifier(options);
+
+		const duplicate = plan.duplicateOf
+			? this.app.vault.getFileByPath(plan.duplicateOf)
+			: undefined;
+		if (duplicate) return this.mergeIntoDuplicate(plan, duplicate, options);
 
-			return file.parent?.path ?? '';
-		})();
-		const newPath = path.join(parentPath, newName);
+		// The basename may have been edited, and paths taken in the meantime
+		const newPath = getAvailableFilePath(
+			this.app,
+			joinPath(plan.folderPath, `${plan.basename}.${plan.extension}`),
+			file,
+		);
+		const newName = newPath.split('/').pop() ?? newPath;
 
-		new Notice(`Image Optimizer: Waiting for metadata cache...`);
-		// await fresh metadata before starting anything
-		await this.waitForMetadataReady(file);
+		if (!compressedFile && newPath === file.path) {
+			notify(`Skipping ${oldName}, name is unchanged`);
+			return {status: 'skipped', reason: 'Name is unchanged'};
+		}
 
 		/* ------------------------------ write --------------------------------- */
 
-		// Skip if a file with the same name already exists
-		const maybeExisting = this.app.vault.getAbstractFileByPath(newPath);
-		if (maybeExisting) {
-			new Notice(
-				`Image Optimizer: Skipped ${newName}, as it already ends in an 8-character hash. Remove that suffix and try again?`,
-			);
-			return;
+		const linkedNotes = getBacklinkPaths(this.app, file);
+		// Moving is part of the rename, so links are only updated once
+		await ensureFolder(this.app, plan.folderPath);
+		// Regenerated below from the new content, instead of renamed along
+		const isContentChanged = Boolean(compressedFile) || plan.isEdited;
+		const previousVariants = isContentChanged
+			? this.variants.take(oldPath)
+			: undefined;
+		let backupPath: string | undefined;
+		if (compressedFile) {
+			// replace file
+			await this.app.fileManager.renameFile(file, newPath);
+			backupPath = await this.backups.disposeOriginal(file, oldPath);
+			await this.app.fileManager.renameFile(compressedFile, newPath);
+		} else {
+			await this.app.fileManager.renameFile(file, newPath);
 		}
 
-		// replace file
-		await this.app.fileManager.renameFile(file, newPath);
-		await this.app.vault.delete(file);
-		await this.app.fileManager.renameFile(compressedFile, newPath);
+		await this.journal.add({oldPath, newPath, backupPath, linkedNotes});
 
 		// Get the newly created file as a TFile
 		const newFile = this.app.vault.getAbstractFileByPath(newPath);
 		if (!(newFile instanceof TFile)) {
 			// should not reach here
-			new Notice(`Image Optimizer: Failed to find new file ${newName}`);
+			notify(`Failed to find new file ${newName}`);
+			return {
+				status: 'failed',
+				reason: `Failed to find new file ${newName}`,
+			};
+		}
+
+		// Catch links the rename missed, e.g. with a stale metadata cache
+		const repairedNotes = await this.linkChecker.verifyRename(
+			oldPath,
+			newFile,
+			linkedNotes,
+		);
+		const decisions = [
+			...plan.decisions,
+			...(repairedNotes.length > 0
+				? [`repaired links in ${repairedNotes.length} note(s)`]
+				: []),
+			...(await this.updateVariants(
+				newFile,
+				previousVariants,
+				isContentChanged,
+			)),
+		];
+		const details =
+			decisions.length > 0 ? ` (${decisions.join(', ')})` : '';
+		this.hashIndex.setNamed(newFile, plan.hash);
+		await this.ledger.add({
+			status: 'processed',
+			oldPath,
+			newPath,
+			hash: plan.hash,
+			sizeBefore: plan.sizeBefore,
+			sizeAfter: plan.sizeAfter,
+			width: plan.width,
+			height: plan.height,
+			backend: plan.backend,
+		});
+		notify(`Renamed ${oldName} → ${newName}${details}`, 3000);
+		return {
+			status: 'processed',
+			oldPath,
+			newPath,
+			hash: plan.hash,
+			sizeBefore: plan.sizeBefore,
+			sizeAfter: plan.sizeAfter,
+		};
+	}
+
+	/**
+	 * Warn when the output keeps a GPS location, all the more when a published
+	 * note embeds it, or tell that it was removed from the original.
+	 */
+	private addLocationDecision(
+		decisions: string[],
+		output: ArrayBuffer,
+		original: ArrayBuffer | undefined,
+		notePaths: string[],
+	) {
+		if (hasGpsData(output)) {
+			const publishedNote = notePaths.find(
+				(path) =>
+					this.app.metadataCache.getCache(path)?.frontmatter
+						?.publish === true,
+			);
+			decisions.push(
+				publishedNote
+					? `warning: keeps its GPS location, and is embedded in published note ${publishedNote}`
+					: 'warning: keeps its GPS location',
+			);
 			return;
 		}
 
-		new Notice(`Image Optimizer: Renamed ${oldName} → ${newName}`, 3000);
+		if (original && hasGpsData(original)) {
+			decisions.push('removed GPS location');
+		}
 	}
-}
 
-class SampleSettingTab extends PluginSettingTab {
-	constructor(private readonly plugin: MyPlugin) {
-		super(plugin.app, plugin);
+	/** Point the links at an existing identical image, and drop this copy */
+	private async mergeIntoDuplicate(
+		plan: ProcessPlan,
+		duplicate: TFile,
+		options: ProcessOptions,
+	): Promise<ProcessResult> {
+		const {file} = plan;
+		const oldName = file.name;
+		const oldPath = file.path;
+		const notes = await redirectLinks(this.app, file, duplicate);
+		const variants = this.variants.take(oldPath);
+		if (variants) await this.variants.deleteVariants(variants);
+		await this.discardPlan(plan);
+		const backupPath = await this.backups.disposeOriginal(file, oldPath);
+		await this.journal.add({
+			oldPath,
+			newPath: duplicate.path,
+			backupPath,
+			linkedNotes: notes,
+			isMerge: true,
+		});
+		await this.linkChecker.verifyRename(
+			oldPath,
+			duplicate,
+			plan.linkedNotes,
+		);
+		// The copy is gone, so all of its bytes were saved
+		await this.ledger.add({
+			status: 'processed',
+			oldPath,
+			newPath: duplicate.path,
+			hash: plan.hash,
+			sizeBefore: plan.sizeBefore,
+			sizeAfter: 0,
+		});
+
+		this.getNotifier(options)(
+			`${oldName} is a duplicate of ${duplicate.path}, pointed links in ${notes.length} note(s) at it`,
+			3000,
+		);
+		return {
+			status: 'processed',
+			oldPath,
+			newPath: duplicate.path,
+			hash: plan.hash,
+			sizeBefore: plan.sizeBefore,
+			sizeAfter: 0,
+		};
+	}
+
+	/** Scan the vault for identical images, and merge them after review */
+	private async findDuplicateImages() {
+		const files = this.batchOptimizer
+			.collectImages()
+			.filter((file) => !isInBackupFolder(file.path, this.settings));
+		const progress = new Notice('', 0);
+		const groups = await findDuplicates(this.hashIndex, files, (done) => {
+			progress.setMessage(
+				`Image Optimizer: Scanning for duplicates (${done}/${files.length})`,
+			);
+		});
+		progress.hide();
+
+		if (groups.length === 0) {
+			new Notice('Image Optimizer: No duplicate images found');
+			return;
+		}
+
+		new DuplicatesModal(this.app, groups, async (keeper, duplicates) => {
+			const noteCount = await mergeDuplicates(
+				this.app,
+				keeper,
+				duplicates,
+				async (file, linkedNotes) => {
+					const oldPath = file.path;
+					const backupPath = await this.backups.disposeOriginal(
+						file,
+						oldPath,
+					);
+					await this.journal.add({
+						oldPath,
+						newPath: keeper.path,
+						backupPath,
+						linkedNotes,
+						isMerge: true,
+					});
+				},
+			);
+			new Notice(
+				`Image Optimizer: Merged ${duplicates.length} duplicate(s) into ${keeper.path}, updated ${noteCount} note link(s)`,
+			);
+		}).open();
+	}
+
+	/** Report broken image links, repairing those to renamed images */
+	private async checkImageLinks() {
+		const extensions = parseExtensions(this.settings.allowedExtensions);
+		const progress = new Notice(
+			'Image Optimizer: Checking image links...',
+			0,
+		);
+		const report = await this.linkChecker.checkVault((path) =>
+			extensions.includes(path.split('.').pop()?.toLowerCase() ?? ''),
+		);
+		progress.hide();
+
+		new LinkReportModal(this.app, report).open();
+	}
+
+	/** Re-hash images the plugin named when edited outside it, once saving settles */
+	private watchEditedImages() {
+		// External editors may save several times in a row
+		const timers = new Map<string, ReturnType<typeof setTimeout>>();
+		this.registerEvent(
+			this.app.vault.on('modify', (file) => {
+				// Only names the plugin gave, any `slug-hash` name could be a user's
+				if (
+					!(file instanceof TFile) ||
+					!this.settings.isStaleHashWatched ||
+					!this.rules.isAllowedExtension(file) ||
+					!this.hashIndex.isNamed(file.path)
+				) {
+					return;
+				}
+
+				globalThis.clearTimeout(timers.get(file.path));
+				timers.set(
+					file.path,
+					globalThis.setTimeout(() => {
+						timers.delete(file.path);
+						void this.queueIfStale(file);
+					}, 2000),
+				);
+			}),
+		);
+		this.register(() => {
+			for (const timer of timers.values()) globalThis.clearTimeout(timer);
+		});
 	}
 
-	display(): void {
-		const {containerEl} = this;
-		containerEl.empty();
+	/** Whether `file` is an allowed image whose name has an outdated hash */
+	private async isStaleImage(file: TFile): Promise<boolean> {
+		if (!this.rules.isAllowedExtension(file)) return false;
 
-		containerEl.createEl('h2', {text: 'Image Plugin Settings'});
+		const rules = await this.rules.check(file);
+		return rules.isAllowed && this.hasStaleHash(file, this.settings);
+	}
+
+	private async queueIfStale(file: TFile) {
+		if (await this.isStaleImage(file)) await this.queue.add(file);
+	}
+
+	/** Find optimized images whose content changed, and re-hash them */
+	private async verifyImageHashes() {
+		const files = this.batchOptimizer.collectImages();
+		const stale: TFile[] = [];
+		const progress = new Notice('', 0);
+
+		// Use recursion to avoid 'await in loop', one file read at a time
+		const checkNext = async (index: number): Promise<void> => {
+			if (index >= files.length) return;
+
+			progress.setMessage(
+				`Image Optimizer: Verifying image hashes (${index + 1}/${files.length})`,
+			);
+			if (await this.isStaleImage(files[index])) stale.push(files[index]);
 
-		new Setting(containerEl)
-			.setName('Trigger automatically')
-			.setDesc(
-				'Automatically process new image files added to the vault.',
+			return checkNext(index + 1);
+		};
+
+		await checkNext(0);
+		progress.hide();
+
+		if (stale.length === 0) {
+			new Notice('Image Optimizer: All image hashes match their content');
+			return;
+		}
+
+		new Notice(
+			`Image Optimizer: Re-hashing ${stale.length} edited image(s)`,
+		);
+		const results = await Promise.all(
+			stale.map(async (file) =>
+				this.queue.add(file, {quiet: true, skipMetadataWait: true}),
+			),
+		);
+		const processedCount = results.filter(
+			(result) => result.status === 'processed',
+		).length;
+		new Notice(
+			`Image Optimizer: Re-hashed ${processedCount} of ${stale.length} edited image(s)`,
+		);
+	}
+
+	/* ------------------------- pasted images ------------------------------ */
+
+	/** Pasted images are only taken over when they can be compressed in memory */
+	private canOptimizeInEditor(extension: string): boolean {
+		const {settings} = this;
+		return (
+			settings.isEditorHookEnabled &&
+			(settings.compressionBackend === 'builtin' ||
+				!settings.isCompressEnabled) &&
+			parseExtensions(settings.allowedExtensions).includes(
+				extension.toLowerCase(),
 			)
-			.addToggle((toggle) =>
-				toggle
-					.setValue(this.plugin.settings.isTriggerOnCreate)
-					.onChange(async (value) => {
-						this.plugin.settings.isTriggerOnCreate = value;
-						await this.plugin.saveSettings();
-						this.plugin.applySettings();
-					}),
+		);
+	}
+
+	/**
+	 * Stand-in for an image about to be written to `path`, for the rules and
+	 * the options prompt
+	 */
+	private getPendingImage(path: string, size: number): PendingImage {
+		const name = path.split('/').pop() ?? path;
+		const extensionIndex = name.lastIndexOf('.');
+		// The folder may not exist yet, its closest parent holds the opt-outs
+		const folders = path.split('/').slice(0, -1);
+		let parent = this.app.vault.getRoot();
+		while (folders.length > 0) {
+			const folder = this.app.vault.getFolderByPath(folders.join('/'));
+			if (folder) {
+				parent = folder;
+				break;
+			}
+
+			folders.pop();
+		}
+
+		return {
+			path,
+			name,
+			basename: name.slice(0, extensionIndex),
+			extension: name.slice(extensionIndex + 1),
+			parent,
+			stat: {size},
+		};
+	}
+
+	/**
+	 * Optimize a pasted or dropped image in memory, and write only the final
+	 * file, in the destination or attachment folder of `note`. The rules and
+	 * the options prompt apply like to new files. When they leave the image
+	 * alone, or optimizing fails, the original is written as it is.
+	 */
+	private async writeEditorImage(
+		image: EditorImage,
+		note: TFile,
+	): Promise<TFile> {
+		const attachmentPath =
+			await this.app.fileManager.getAvailablePathForAttachment(
+				`${image.basename}.${image.extension}`,
+				note.path,
 			);
+		const pending = this.getPendingImage(
+			attachmentPath,
+			image.data.byteLength,
+		);
+		const rules = await this.rules.check(pending);
+		const overrides = rules.isAllowed
+			? await this.promptOverrides(pending)
+			: undefined;
+		if (!overrides) {
+			return this.imageHandler.createIgnored(attachmentPath, image.data);
+		}
 
-		new Setting(containerEl)
-			.setName('Absolute path to runtime')
-			.addText((text) =>
-				text
-					.setPlaceholder('Enter value')
-					.setValue(this.plugin.settings.runtimeAbsolutePath)
-					.onChange(async (value) => {
-						this.plugin.settings.runtimeAbsolutePath = value;
-						await this.plugin.saveSettings();
-					}),
+		try {
+			return await this.optimizeEditorImage(
+				image,
+				note,
+				attachmentPath,
+				overrides,
 			);
+		} catch (error) {
+			console.error('Error optimizing pasted image:', error);
+			new Notice(
+				`Image Optimizer: Failed to optimize ${pending.name}, embedded the original`,
+			);
+			const file = await this.imageHandler.createIgnored(
+				getAvailableFilePath(this.app, attachmentPath),
+				image.data,
+			);
+			this.recordResult(file, {
+				status: 'failed',
+				reason: error instanceof Error ? error.message : String(error),
+			});
+			return file;
+		}
+	}
 
-		new Setting(containerEl)
-			.setName('Absolute path to compression script')
-			.addTextArea((text) =>
-				text
-					.setPlaceholder('Enter value')
-					.setValue(
-						this.plugin.settings.compressionScriptAbsolutePath,
-					)
-					.onChange(async (value) => {
-						this.plugin.settings.compressionScriptAbsolutePath =
-							value;
-						await this.plugin.saveSettings();
-					}),
+	/**
+	 * Compress a pasted image in memory, unless the policies keep it as it
+	 * is. Their decisions are added to `decisions`.
+	 */
+	private async compressEditorImage(
+		image: EditorImage,
+		settings: PluginSettings,
+		decisions: string[],
+	) {
+		const {skipCompressionBelowKb, maxWidth, maxHeight} = settings;
+		if (!settings.isCompressEnabled) return undefined;
+		if (
+			skipCompressionBelowKb > 0 &&
+			image.data.byteLength / 1024 < skipCompressionBelowKb
+		) {
+			decisions.push(
+				`not compressed, under ${skipCompressionBelowKb} KB`,
 			);
+			return undefined;
+		}
+
+		const extension = image.extension.toLowerCase();
+		const format = resolveOutputFormat(
+			extension,
+			settings,
+			extension === 'png' && hasPngTransparency(image.data),
+		);
+		if (!format) {
+			decisions.push(`not compressed, .${extension} is kept as is`);
+			return undefined;
+		}
+
+		const result = await compressInProcess(image.data, extension, {
+			format,
+			quality: settings.quality,
+			maxWidth,
+			maxHeight,
+		});
+		// Pasting the original beats losing the image
+		if (!result.ok) {
+			decisions.push(`not compressed, ${result.error}`);
+			return undefined;
+		}
+
+		const data = applyMetadataPolicy(
+			result.data,
+			settings.metadataPolicy,
+			image.data,
+		);
+		const keptReason = checkSavings(
+			image.data.byteLength,
+			data.byteLength,
+			settings,
+		);
+		if (keptReason) {
+			decisions.push(keptReason);
+			return undefined;
+		}
+
+		const originalSize = getImageSize(image.data);
+		if (originalSize && result.width < originalSize.width) {
+			decisions.push(`downscaled to ${result.width}×${result.height}`);
+		}
+
+		return {...result, data};
+	}
+
+	/**
+	 * Compress and name a pasted image in memory, and write only the result.
+	 * Duplicates embed the existing image instead.
+	 */
+	private async optimizeEditorImage(
+		image: EditorImage,
+		note: TFile,
+		attachmentPath: string,
+		overrides: ProcessOverrides,
+	): Promise<TFile> {
+		const settings = this.getFileSettings(overrides);
+		const decisions: string[] = [];
+		const compressed = await this.compressEditorImage(
+			image,
+			settings,
+			decisions,
+		);
+		const data = compressed?.data ?? image.data;
+		const hash = hashContent(data);
+		this.addLocationDecision(decisions, data, compressed && image.data, [
+			note.path,
+		]);
+		// The path Obsidian would have written it to
+		const source = {
+			oldPath: attachmentPath,
+			hash,
+			sizeBefore: image.data.byteLength,
+		};
+
+		const duplicate = settings.isDeduplicationEnabled
+			? this.hashIndex.findByHash(hash, '')
+			: undefined;
+		if (duplicate) {
+			// Nothing was written, so all of its bytes were saved
+			const result = {
+				status: 'processed' as const,
+				...source,
+				newPath: duplicate.path,
+				sizeAfter: 0,
+			};
+			await this.ledger.add(result);
+			this.recordResult(duplicate, result);
+			new Notice(
+				`Image Optimizer: Pasted image is a duplicate of ${duplicate.path}, embedded it instead`,
+			);
+			return duplicate;
+		}
+
+		// Obsidian's attachment settings pick the folder, unless a rule applies
+		const attachmentFolder = attachmentPath
+			.split('/')
+			.slice(0, -1)
+			.join('/');
+		const folderPath =
+			resolveDestination(this.app, settings, {
+				folderPath: attachmentFolder,
+				note,
+			}) ?? attachmentFolder;
+		const basename = await this.renderEditorBasename(
+			{
+				basename: image.basename,
+				extension: image.extension,
+				folder: attachmentFolder.split('/').pop() ?? '',
+				note,
+			},
+			image.data,
+			data,
+			settings,
+		);
+		const extension = compressed
+			? formatToExtension(compressed.format)
+			: image.extension.toLowerCase();
+		await ensureFolder(this.app, folderPath);
+		const path = getAvailableFilePath(
+			this.app,
+			joinPath(folderPath, `${basename}.${extension}`),
+		);
+
+		const file = await this.imageHandler.createIgnored(path, data);
+		this.hashIndex.setNamed(file, hash);
+		decisions.push(...(await this.updateVariants(file, undefined, true)));
+
+		const size = compressed ?? getImageSize(data);
+		const result = {
+			status: 'processed' as const,
+			...source,
+			newPath: path,
+			sizeAfter: data.byteLength,
+		};
+		await this.ledger.add({
+			...result,
+			width: size?.width,
+			height: size?.height,
+			backend: compressed ? 'builtin' : undefined,
+		});
+		this.recordResult(file, result);
+
+		const details =
+			decisions.length > 0 ? ` (${decisions.join(', ')})` : '';
+		new Notice(`Image Optimizer: Saved ${file.name}${details}`, 3000);
+		return file;
+	}
+
+	/** Basename of a pasted image, from the name chosen for it or the template */
+	private async renderEditorBasename(
+		source: NameSource,
+		original: ArrayBuffer,
+		output: ArrayBuffer,
+		settings: PluginSettings & ProcessOverrides,
+	): Promise<string> {
+		const chosen = sanitizeBasename(settings.basename ?? '');
+		if (chosen) return chosen;
+
+		const hash = settings.isHashEnabled
+			? await hashForName(
+					settings.hashSource === 'original' ? original : output,
+					settings,
+				)
+			: undefined;
+		const context = this.getTemplateContext(source, output, hash, settings);
+		return (
+			renderTemplate(
+				resolveTemplate(settings.filenameTemplate, settings),
+				context,
+			) || context.slug
+		);
+	}
+
+	/* ---------------------------- variants -------------------------------- */
+
+	/**
+	 * Create the responsive variants of an optimized image, replacing
+	 * `previous`. Returns the decisions to report.
+	 */
+	private async updateVariants(
+		main: TFile,
+		previous: VariantEntry | undefined,
+		isContentChanged: boolean,
+	): Promise<string[]> {
+		// Images that had variants keep them up to date
+		const isWanted = this.settings.isVariantsEnabled || previous;
+		const isCurrent = !isContentChanged && this.variants.get(main.path);
+		if (!isWanted || isCurrent) return [];
+
+		const data = await this.app.vault.readBinary(main);
+		const size = getImageSize(data);
+		const format = extensionToFormat(main.extension);
+		const widths = parseWidths(this.settings.variantWidths).filter(
+			(width) => size && width < size.width,
+		);
+		if (!size || !format || widths.length === 0) {
+			if (previous) await this.variants.deleteVariants(previous);
+			return [];
+		}
+
+		const variants: Variant[] = [];
+		// Use recursion to avoid 'await in loop', one variant in memory at a time
+		const createNext = async (
+			index: number,
+		): Promise<string | undefined> => {
+			if (index >= widths.length) return undefined;
+
+			const result = await compressInProcess(data, main.extension, {
+				format,
+				quality: this.settings.quality,
+				maxWidth: widths[index],
+				maxHeight: 0,
+			});
+			if (!result.ok) return result.error;
+
+			const path = getVariantPath(main, widths[index]);
+			await this.writeVariant(
+				path,
+				applyMetadataPolicy(
+					result.data,
+					this.settings.metadataPolicy,
+					data,
+				),
+			);
+			variants.push({path, width: result.width, height: result.height});
+			return createNext(index + 1);
+		};
+
+		const error = await createNext(0);
+		const paths = variants.map((variant) => variant.path);
+		if (previous) await this.variants.deleteVariants(previous, paths);
+		this.variants.set(main.path, {...size, variants});
+
+		return error
+			? [`variants not created, ${error}`]
+			: [`created ${variants.length} variant(s)`];
+	}
+
+	/** Write a variant, overwriting the one of the previous version */
+	private async writeVariant(path: string, data: ArrayBuffer) {
+		const existing = this.app.vault.getFileByPath(path);
+		if (existing) {
+			await this.app.vault.modifyBinary(existing, data);
+			return;
+		}
+
+		// Variants are already optimized, so the create handler leaves them alone
+		await this.imageHandler.createIgnored(path, data);
+	}
+
+	/** Copy a `<picture>` snippet of the active image and its variants */
+	private async copyPictureSnippet() {
+		const file = this.app.workspace.getActiveFile();
+		const entry = file ? this.variants.get(file.path) : undefined;
+		if (!file || !entry) {
+			new Notice(
+				'Image Optimizer: Active file has no responsive variants',
+			);
+			return;
+		}
+
+		await navigator.clipboard.writeText(buildPictureSnippet(file, entry));
+		new Notice(
+			`Image Optimizer: Copied <picture> snippet of ${file.name} and ${entry.variants.length} variant(s)`,
+		);
+	}
+
+	/** Record a final failure in the ledger, and tell other plugins how it went */
+	private recordResult<T extends ProcessPlan | ProcessResult>(
+		file: TFile,
+		result: T,
+	): T {
+		if (!('status' in result)) return result;
+
+		if (result.status === 'failed') {
+			this.ledger
+				.add({
+					status: 'failed',
+					oldPath: file.path,
+					sizeBefore: file.stat.size,
+					error: result.reason ?? 'Unknown error',
+				})
+				.catch((error: unknown) => {
+					console.error('Error saving ledger:', error);
+				});
+			this.app.workspace.trigger(OPTIMIZER_EVENTS.failed, file, {
+				...result,
+				oldPath: file.path,
+			});
+		} else if (result.status === 'processed' && result.newPath) {
+			// `file` may be the original, replaced by the compressed output
+			this.app.workspace.trigger(
+				OPTIMIZER_EVENTS.processed,
+				this.app.vault.getFileByPath(result.newPath),
+				result,
+			);
+		}
+
+		return result;
+	}
+
+	/** Open the history view, or focus it when already open */
+	private async showLedgerView() {
+		const {workspace} = this.app;
+		let [leaf] = workspace.getLeavesOfType(LEDGER_VIEW_TYPE);
+		if (!leaf) {
+			leaf = workspace.getRightLeaf(false) ?? workspace.getLeaf(true);
+			await leaf.setViewState({type: LEDGER_VIEW_TYPE, active: true});
+		}
+
+		await workspace.revealLeaf(leaf);
+	}
+
+	/** Drop a plan that was not approved, deleting its compressed output */
+	private async discardPlan(plan: ProcessPlan): Promise<void> {
+		if (plan.compressedFile) {
+			await this.app.vault.delete(plan.compressedFile);
+		}
 	}
 }
 
 class ImageCreateHandler {
 	private eventRef: EventRef | undefined = undefined;
+	// Paths written already optimized, e.g. pasted images
+	private readonly ignoredPaths = new Set<string>();
 
 	constructor(
 		private readonly app: App,
-		private readonly processFile: (file: TFile) => Promise<void>,
+		private readonly queueFile: ProcessFile,
+		private readonly rules: RuleChecker,
+		private readonly promptOverrides: (
+			file: TFile,
+		) => Promise<ProcessOverrides | undefined>,
 	) {}
 
 	enable() {
 		if (this.eventRef) return;
 
-		this.eventRef = this.app.vault.on('create', (file) => {
+		this.eventRef = this.app.vault.on('create', async (file) => {
 			if (!(file instanceof TFile)) return;
-			if (!isImage(file)) return;
 			// TODO: better detection for optimized images?
 			if (file.extension === 'temp') return;
+			if (this.ignoredPaths.has(file.path)) return;
 
-			void this.processFile(file);
+			void this.process(file);
 		});
 	}
 
+	/**
+	 * Queue a new image, unless the rules, another plugin or the options
+	 * prompt leave it alone. Undefined in that case.
+	 */
+	async process(
+		file: TFile,
+		options: ProcessOptions = {},
+	): Promise<ProcessResult | undefined> {
+		const rules = await this.rules.check(file);
+		if (!rules.isAllowed) return undefined;
+
+		// Other plugins may want to handle the image themselves
+		const vetoReason = triggerVetoable(
+			this.app.workspace,
+			OPTIMIZER_EVENTS.beforeQueue,
+			file,
+		);
+		if (vetoReason) return undefined;
+
+		const overrides = await this.promptOverrides(file);
+		if (!overrides) return undefined;
+
+		return this.queueFile(file, {...options, overrides});
+	}
+
+	/** Create a file the create trigger leaves alone, e.g. already optimized */
+	async createIgnored(path: string, data: ArrayBuffer): Promise<TFile> {
+		this.ignoredPaths.add(path);
+		try {
+			return await this.app.vault.createBinary(path, data);
+		} finally {
+			// Also when the trigger is off and never saw it
+			this.ignoredPaths.delete(path);
+		}
+	}
+
 	disable() {
 		if (this.eventRef) {
 			this.app.vault.offref(this.eventRef);
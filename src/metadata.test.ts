@@ -0,0 +1,148 @@
+import {describe, expect, it} from 'vitest';
+import {applyMetadataPolicy, hasGpsData} from './metadata.js';
+
+function toBytes(text: string): number[] {
+	return Array.from(text, (char) => char.codePointAt(0)!);
+}
+
+function uint16(value: number): number[] {
+	return [value % 256, Math.floor(value / 256)];
+}
+
+function uint32(value: number): number[] {
+	return [...uint16(value % 65_536), ...uint16(Math.floor(value / 65_536))];
+}
+
+function entry(tag: number, type: number, count: number, value: number[]) {
+	return [...uint16(tag), ...uint16(type), ...uint32(count), ...value];
+}
+
+/**
+ * Little endian EXIF with an orientation of 6, an artist and a GPS
+ * directory holding the latitude reference
+ */
+function createExif(): number[] {
+	return [
+		...toBytes('II'),
+		...uint16(42),
+		...uint32(8),
+		// IFD0 at 8, its values end at 50
+		...uint16(3),
+		...entry(0x01_12, 3, 1, [...uint16(6), 0, 0]),
+		...entry(0x01_3b, 2, 6, uint32(50)),
+		...entry(0x88_25, 4, 1, uint32(56)),
+		...uint32(0),
+		...toBytes('Alice\0'),
+		// GPS IFD at 56
+		...uint16(1),
+		...entry(0x00_01, 2, 2, [...toBytes('N\0'), 0, 0]),
+		...uint32(0),
+	];
+}
+
+function createJpeg(exif?: number[]): ArrayBuffer {
+	const app1 = exif ? [...toBytes('Exif\0\0'), ...exif] : [];
+	return Uint8Array.from([
+		0xff,
+		0xd8,
+		...(exif
+			? [0xff, 0xe1, ...uint16(app1.length + 2).reverse(), ...app1]
+			: []),
+		// Start of scan, then some image data and the end of image
+		0xff,
+		0xda,
+		1,
+		2,
+		3,
+		0xff,
+		0xd9,
+	]).buffer;
+}
+
+function pngChunk(type: string, data: number[]): number[] {
+	// Big endian length, and a CRC the reader does not check
+	return [
+		...uint32(data.length).reverse(),
+		...toBytes(type),
+		...data,
+		0,
+		0,
+		0,
+		0,
+	];
+}
+
+function createPng(): ArrayBuffer {
+	return Uint8Array.from([
+		0x89,
+		...toBytes('PNG\r\n\u001A\n'),
+		...pngChunk('IHDR', [0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0]),
+		...pngChunk('IDAT', [1, 2, 3]),
+		...pngChunk('IEND', []),
+	]).buffer;
+}
+
+function includesText(buffer: ArrayBuffer, text: string): boolean {
+	return new TextDecoder('latin1').decode(buffer).includes(text);
+}
+
+describe('hasGpsData', () => {
+	it('finds a GPS directory in the EXIF', () => {
+		expect(hasGpsData(createJpeg(createExif()))).toBe(true);
+		expect(hasGpsData(createJpeg())).toBe(false);
+	});
+});
+
+describe('applyMetadataPolicy', () => {
+	const jpeg = createJpeg(createExif());
+
+	it('strips all metadata', () => {
+		const output = applyMetadataPolicy(jpeg, 'strip');
+		expect(includesText(output, 'Exif')).toBe(false);
+		expect(new Uint8Array(output)).toEqual(new Uint8Array(createJpeg()));
+	});
+
+	it('keeps everything', () => {
+		expect(new Uint8Array(applyMetadataPolicy(jpeg, 'keep'))).toEqual(
+			new Uint8Array(jpeg),
+		);
+	});
+
+	it('strips only the location', () => {
+		const output = applyMetadataPolicy(jpeg, 'strip-location');
+		expect(hasGpsData(output)).toBe(false);
+		expect(includesText(output, 'Alice')).toBe(true);
+	});
+
+	it('keeps only the copyright and orientation', () => {
+		const output = applyMetadataPolicy(jpeg, 'keep-copyright');
+		expect(hasGpsData(output)).toBe(false);
+		expect(includesText(output, 'Alice')).toBe(true);
+	});
+
+	it('carries metadata over from the source, reset upright', () => {
+		const output = applyMetadataPolicy(createJpeg(), 'keep', jpeg);
+		const bytes = new Uint8Array(output);
+		expect(hasGpsData(output)).toBe(true);
+		// Value of the first entry: after the start of image, the APP1 and
+		// TIFF headers, the entry count and the entry's tag, type and count
+		expect(bytes[2 + 4 + 6 + 8 + 2 + 8]).toBe(1);
+	});
+
+	it('writes EXIF into PNGs before the image data, with valid CRCs', () => {
+		const output = applyMetadataPolicy(createPng(), 'keep-copyright', jpeg);
+		const text = new TextDecoder('latin1').decode(output);
+		expect(text.indexOf('eXIf')).toBeGreaterThan(0);
+		expect(text.indexOf('eXIf')).toBeLessThan(text.indexOf('IDAT'));
+		expect(hasGpsData(output)).toBe(false);
+		// CRC-32 of `IEND`
+		expect(new Uint8Array(output).slice(-4)).toEqual(
+			Uint8Array.of(0xae, 0x42, 0x60, 0x82),
+		);
+	});
+
+	it('leaves images without metadata alone', () => {
+		const png = createPng();
+		expect(applyMetadataPolicy(png, 'strip')).toBe(png);
+	});
+});
@@ -0,0 +1,670 @@
+import {getImageSize} from './image-size.js';
+
+export type MetadataPolicy =
+	| 'strip'
+	| 'keep'
+	| 'strip-location'
+	| 'keep-copyright';
+
+export type MetadataSettings = {
+	metadataPolicy: MetadataPolicy;
+};
+
+export const METADATA_POLICIES: Record<MetadataPolicy, string> = {
+	strip: 'Strip all',
+	keep: 'Keep all',
+	'strip-location': 'Strip location only',
+	'keep-copyright': 'Keep copyright and orientation only',
+};
+
+/*
+ * EXIF and XMP metadata in JPEG, PNG and WebP files. EXIF is a TIFF
+ * structure: a header, then directories (IFDs) of 12 byte entries, whose
+ * values longer than 4 bytes are stored elsewhere, at an offset.
+ */
+
+/** Metadata blocks of an image, without their container's headers */
+type Metadata = {
+	exif?: Uint8Array;
+	xmp?: Uint8Array;
+};
+
+type Container = {
+	read: (bytes: Uint8Array) => Metadata | undefined;
+	// Undefined when the file cannot be rewritten safely
+	write: (bytes: Uint8Array, metadata: Metadata) => Uint8Array | undefined;
+};
+
+type Chunk = {type: string; data: Uint8Array};
+
+type TiffEntry = {tag: number; type: number; count: number; offset: number};
+
+type Tiff = {view: DataView; isLittleEndian: boolean; ifdOffset: number};
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+const ORIENTATION_TAG = 0x01_12;
+const ARTIST_TAG = 0x01_3b;
+const COPYRIGHT_TAG = 0x82_98;
+const GPS_TAG = 0x88_25;
+
+const ASCII_TYPE = 2;
+const SHORT_TYPE = 3;
+
+// Bytes per value of each TIFF type
+const TYPE_SIZES: Record<number, number> = {
+	1: 1,
+	2: 1,
+	3: 2,
+	4: 4,
+	5: 8,
+	6: 1,
+	7: 1,
+	8: 2,
+	9: 4,
+	10: 8,
+	11: 4,
+	12: 8,
+};
+
+// VP8X flags
+const WEBP_ALPHA_FLAG = 0x10;
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/* ------------------------------ bytes --------------------------------- */
+
+function toBytes(text: string): Uint8Array {
+	return Uint8Array.from(text, (char) => char.codePointAt(0)!);
+}
+
+function readText(bytes: Uint8Array, offset: number, length: number): string {
+	return String.fromCodePoint(...bytes.subarray(offset, offset + length));
+}
+
+function startsWith(bytes: Uint8Array, offset: number, text: string): boolean {
+	return readText(bytes, offset, text.length) === text;
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+	let length = 0;
+	for (const part of parts) length += part.length;
+
+	const bytes = new Uint8Array(length);
+	let offset = 0;
+	for (const part of parts) {
+		bytes.set(part, offset);
+		offset += part.length;
+	}
+
+	return bytes;
+}
+
+function getView(bytes: Uint8Array): DataView {
+	return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+let crcTable: number[] | undefined;
+
+/** CRC-32 of a PNG chunk, unsigned */
+function crc32(bytes: Uint8Array): number {
+	crcTable ??= Array.from({length: 256}, (_, index) => {
+		let crc = index;
+		for (let bit = 0; bit < 8; bit++) {
+			crc = crc & 1 ? 0xed_b8_83_20 ^ (crc >>> 1) : crc >>> 1;
+		}
+
+		return crc;
+	});
+
+	let crc = 0xff_ff_ff_ff;
+	for (const byte of bytes) {
+		crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+
+	return (crc ^ 0xff_ff_ff_ff) >>> 0;
+}
+
+/** Set or clear one bit of a flags byte */
+function setFlag(flags: number, flag: number, isSet: boolean): number {
+	const wasSet = Math.floor(flags / flag) % 2 === 1;
+	if (wasSet === isSet) return flags;
+	return isSet ? flags + flag : flags - flag;
+}
+
+/* ------------------------------- TIFF --------------------------------- */
+
+function readTiff(exif: Uint8Array): Tiff {
+	const order = readText(exif, 0, 2);
+	if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF header');
+
+	const view = getView(exif);
+	const isLittleEndian = order === 'II';
+	return {view, isLittleEndian, ifdOffset: view.getUint32(4, isLittleEndian)};
+}
+
+function readEntries(tiff: Tiff, ifdOffset: number): TiffEntry[] {
+	const {view, isLittleEndian} = tiff;
+	const count = view.getUint16(ifdOffset, isLittleEndian);
+
+	return Array.from({length: count}, (_, index) => {
+		const offset = ifdOffset + 2 + index * 12;
+		return {
+			tag: view.getUint16(offset, isLittleEndian),
+			type: view.getUint16(offset + 2, isLittleEndian),
+			count: view.getUint32(offset + 4, isLittleEndian),
+			offset,
+		};
+	});
+}
+
+/** Start and end of an entry's value, inline or at its offset */
+function getValueRange(tiff: Tiff, entry: TiffEntry): [number, number] {
+	const size = (TYPE_SIZES[entry.type] ?? 1) * entry.count;
+	const start =
+		size <= 4
+			? entry.offset + 8
+			: tiff.view.getUint32(entry.offset + 8, tiff.isLittleEndian);
+	return [start, start + size];
+}
+
+function hasGpsEntries(exif: Uint8Array): boolean {
+	try {
+		const tiff = readTiff(exif);
+		const gps = readEntries(tiff, tiff.ifdOffset).find(
+			(entry) => entry.tag === GPS_TAG,
+		);
+		if (!gps) return false;
+
+		const gpsOffset = tiff.view.getUint32(
+			gps.offset + 8,
+			tiff.isLittleEndian,
+		);
+		return gpsOffset > 0 && readEntries(tiff, gpsOffset).length > 0;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Copy of `exif` without its GPS directory. The directory and its values
+ * are zeroed, not just unlinked, so the coordinates are really gone.
+ */
+function removeGps(exif: Uint8Array): Uint8Array {
+	const bytes = exif.slice();
+	const tiff = readTiff(bytes);
+	const entries = readEntries(tiff, tiff.ifdOffset);
+	const gps = entries.find((entry) => entry.tag === GPS_TAG);
+	if (!gps) return bytes;
+
+	const gpsOffset = tiff.view.getUint32(gps.offset + 8, tiff.isLittleEndian);
+	const gpsEntries = readEntries(tiff, gpsOffset);
+	for (const entry of gpsEntries) {
+		bytes.fill(0, ...getValueRange(tiff, entry));
+	}
+
+	bytes.fill(0, gpsOffset, gpsOffset + 2 + gpsEntries.length * 12 + 4);
+
+	// Move the later entries and the next directory offset up
+	const end = tiff.ifdOffset + 2 + entries.length * 12 + 4;
+	bytes.copyWithin(gps.offset, gps.offset + 12, end);
+	bytes.fill(0, end - 12, end);
+	tiff.view.setUint16(
+		tiff.ifdOffset,
+		entries.length - 1,
+		tiff.isLittleEndian,
+	);
+	return bytes;
+}
+
+function getOrientation(tiff: Tiff): number | undefined {
+	const entry = readEntries(tiff, tiff.ifdOffset).find(
+		(entry) => entry.tag === ORIENTATION_TAG && entry.type === SHORT_TYPE,
+	);
+	return entry
+		? tiff.view.getUint16(entry.offset + 8, tiff.isLittleEndian)
+		: undefined;
+}
+
+/** Copy of `exif` marked as upright, for pixels that were already rotated */
+function resetOrientation(exif: Uint8Array): Uint8Array {
+	const bytes = exif.slice();
+	const tiff = readTiff(bytes);
+	const entry = readEntries(tiff, tiff.ifdOffset).find(
+		(entry) => entry.tag === ORIENTATION_TAG && entry.type === SHORT_TYPE,
+	);
+	if (entry) tiff.view.setUint16(entry.offset + 8, 1, tiff.isLittleEndian);
+	return bytes;
+}
+
+/** Little endian TIFF with a single directory of `entries` */
+function buildTiff(
+	entries: Array<{
+		tag: number;
+		type: number;
+		count: number;
+		data: Uint8Array;
+	}>,
+): Uint8Array {
+	const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+	const getStoredSize = (data: Uint8Array) =>
+		data.length > 4 ? data.length + (data.length % 2) : 0;
+	let dataOffset = 8 + 2 + sorted.length * 12 + 4;
+	let size = dataOffset;
+	for (const entry of sorted) size += getStoredSize(entry.data);
+
+	const bytes = new Uint8Array(size);
+	const view = getView(bytes);
+	bytes.set(toBytes('II'));
+	view.setUint16(2, 42, true);
+	view.setUint32(4, 8, true);
+	view.setUint16(8, sorted.length, true);
+
+	for (const [index, entry] of sorted.entries()) {
+		const offset = 10 + index * 12;
+		view.setUint16(offset, entry.tag, true);
+		view.setUint16(offset + 2, entry.type, true);
+		view.setUint32(offset + 4, entry.count, true);
+		if (entry.data.length <= 4) {
+			bytes.set(entry.data, offset + 8);
+		} else {
+			view.setUint32(offset + 8, dataOffset, true);
+			bytes.set(entry.data, dataOffset);
+			dataOffset += getStoredSize(entry.data);
+		}
+	}
+
+	return bytes;
+}
+
+/** New EXIF with only the artist, copyright and orientation */
+function keepCopyright(exif: Uint8Array, isOriented: boolean): Uint8Array {
+	const tiff = readTiff(exif);
+	const kept = readEntries(tiff, tiff.ifdOffset)
+		.filter(
+			(entry) =>
+				(entry.tag === ARTIST_TAG || entry.tag === COPYRIGHT_TAG) &&
+				entry.type === ASCII_TYPE,
+		)
+		.map((entry) => ({
+			...entry,
+			data: exif.slice(...getValueRange(tiff, entry)),
+		}));
+	const orientation = isOriented ? 1 : (getOrientation(tiff) ?? 1);
+
+	return buildTiff([
+		...kept,
+		{
+			tag: ORIENTATION_TAG,
+			type: SHORT_TYPE,
+			count: 1,
+			data: Uint8Array.of(
+				orientation % 256,
+				Math.floor(orientation / 256),
+			),
+		},
+	]);
+}
+
+/** EXIF to write under `policy`, undefined to write none */
+function filterExif(
+	exif: Uint8Array,
+	policy: MetadataPolicy,
+	isOriented: boolean,
+): Uint8Array | undefined {
+	try {
+		switch (policy) {
+			case 'strip': {
+				return undefined;
+			}
+
+			case 'keep': {
+				return isOriented ? resetOrientation(exif) : exif;
+			}
+
+			case 'strip-location': {
+				const withoutGps = removeGps(exif);
+				return isOriented ? resetOrientation(withoutGps) : withoutGps;
+			}
+
+			case 'keep-copyright': {
+				return keepCopyright(exif, isOriented);
+			}
+		}
+	} catch (error) {
+		// Rather no metadata than metadata that may still hold the location
+		console.error('Error reading EXIF, dropping it:', error);
+		return undefined;
+	}
+}
+
+/* ------------------------------- JPEG --------------------------------- */
+
+/** Segments between the start of image and the start of scan */
+function splitJpeg(
+	bytes: Uint8Array,
+): {segments: Uint8Array[]; rest: Uint8Array} | undefined {
+	const view = getView(bytes);
+	const segments: Uint8Array[] = [];
+	let offset = 2;
+
+	while (offset + 4 <= bytes.length) {
+		if (bytes[offset] !== 0xff) return undefined;
+		// Start of scan, the image data follows
+		if (bytes[offset + 1] === 0xda) break;
+
+		const end = offset + 2 + view.getUint16(offset + 2);
+		if (end > bytes.length) return undefined;
+		segments.push(bytes.subarray(offset, end));
+		offset = end;
+	}
+
+	return {segments, rest: bytes.subarray(offset)};
+}
+
+function isApp1(segment: Uint8Array, header: string): boolean {
+	return segment[1] === 0xe1 && startsWith(segment, 4, header);
+}
+
+function buildJpegSegment(header: string, data: Uint8Array) {
+	const length = 2 + header.length + data.length;
+	// Segment lengths are 16 bit
+	if (length > 0xff_ff) return [];
+
+	return [
+		Uint8Array.of(0xff, 0xe1, Math.floor(length / 256), length % 256),
+		toBytes(header),
+		data,
+	];
+}
+
+const jpeg: Container = {
+	read(bytes) {
+		const parts = splitJpeg(bytes);
+		if (!parts) return undefined;
+
+		const exif = parts.segments.find((segment) =>
+			isApp1(segment, EXIF_HEADER),
+		);
+		const xmp = parts.segments.find((segment) =>
+			isApp1(segment, XMP_HEADER),
+		);
+		return {
+			exif: exif?.subarray(4 + EXIF_HEADER.length),
+			xmp: xmp?.subarray(4 + XMP_HEADER.length),
+		};
+	},
+	write(bytes, {exif, xmp}) {
+		const parts = splitJpeg(bytes);
+		if (!parts) return undefined;
+
+		const segments = parts.segments.filter(
+			(segment) =>
+				!isApp1(segment, EXIF_HEADER) && !isApp1(segment, XMP_HEADER),
+		);
+		// The JFIF segment has to stay first
+		const index = segments[0]?.[1] === 0xe0 ? 1 : 0;
+		segments.splice(
+			index,
+			0,
+			...(exif ? buildJpegSegment(EXIF_HEADER, exif) : []),
+			...(xmp ? buildJpegSegment(XMP_HEADER, xmp) : []),
+		);
+
+		return concat([bytes.subarray(0, 2), ...segments, parts.rest]);
+	},
+};
+
+/* ------------------------------- WebP --------------------------------- */
+
+function readRiffChunks(bytes: Uint8Array): Chunk[] | undefined {
+	const view = getView(bytes);
+	const chunks: Chunk[] = [];
+	let offset = 12;
+
+	while (offset + 8 <= bytes.length) {
+		const size = view.getUint32(offset + 4, true);
+		const end = offset + 8 + size;
+		if (end > bytes.length) return undefined;
+
+		chunks.push({
+			type: readText(bytes, offset, 4),
+			data: bytes.subarray(offset + 8, end),
+		});
+		// Chunks are padded to an even size
+		offset = end + (size % 2);
+	}
+
+	return chunks;
+}
+
+function writeRiffChunks(chunks: Chunk[]): Uint8Array {
+	const parts = chunks.flatMap(({type, data}) => {
+		const header = new Uint8Array(8);
+		header.set(toBytes(type));
+		getView(header).setUint32(4, data.length, true);
+		return [header, data, new Uint8Array(data.length % 2)];
+	});
+	const body = concat([toBytes('WEBP'), ...parts]);
+	const header = new Uint8Array(8);
+	header.set(toBytes('RIFF'));
+	getView(header).setUint32(4, body.length, true);
+
+	return concat([header, body]);
+}
+
+/** VP8X header for a simple WebP, which cannot carry metadata */
+function buildVp8x(bytes: Uint8Array, image: Chunk): Chunk | undefined {
+	const size = getImageSize(bytes.slice().buffer);
+	if (!size) return undefined;
+
+	const data = new Uint8Array(10);
+	// Lossless images tell whether they use alpha in their header
+	const hasAlpha =
+		image.type === 'VP8L' && Math.floor(image.data[4] / 16) % 2 === 1;
+	data[0] = hasAlpha ? WEBP_ALPHA_FLAG : 0;
+	for (const [offset, value] of [
+		[4, size.width - 1],
+		[7, size.height - 1],
+	]) {
+		data[offset] = value % 256;
+		data[offset + 1] = Math.floor(value / 256) % 256;
+		data[offset + 2] = Math.floor(value / 65_536) % 256;
+	}
+
+	return {type: 'VP8X', data};
+}
+
+const webp: Container = {
+	read(bytes) {
+		const chunks = readRiffChunks(bytes);
+		if (!chunks) return undefined;
+
+		return {
+			exif: chunks.find((chunk) => chunk.type === 'EXIF')?.data,
+			xmp: chunks.find((chunk) => chunk.type === 'XMP ')?.data,
+		};
+	},
+	write(bytes, {exif, xmp}) {
+		const chunks = readRiffChunks(bytes)?.filter(
+			(chunk) => chunk.type !== 'EXIF' && chunk.type !== 'XMP ',
+		);
+		if (!chunks?.[0]) return undefined;
+
+		if (chunks[0].type !== 'VP8X') {
+			// Simple files stay simple without metadata
+			if (!exif && !xmp) return writeRiffChunks(chunks);
+
+			const vp8x = buildVp8x(bytes, chunks[0]);
+			if (!vp8x) return undefined;
+			chunks.unshift(vp8x);
+		}
+
+		const vp8x = {...chunks[0], data: chunks[0].data.slice()};
+		vp8x.data[0] = setFlag(vp8x.data[0], WEBP_EXIF_FLAG, Boolean(exif));
+		vp8x.data[0] = setFlag(vp8x.data[0], WEBP_XMP_FLAG, Boolean(xmp));
+
+		return writeRiffChunks([
+			vp8x,
+			...chunks.slice(1),
+			...(exif ? [{type: 'EXIF', data: exif}] : []),
+			...(xmp ? [{type: 'XMP ', data: xmp}] : []),
+		]);
+	},
+};
+
+/* -------------------------------- PNG --------------------------------- */
+
+const PNG_SIGNATURE = Uint8Array.of(
+	0x89,
+	0x50,
+	0x4e,
+	0x47,
+	0x0d,
+	0x0a,
+	0x1a,
+	0x0a,
+);
+
+// Keyword, then no compression, no language and no translated keyword
+const XMP_TEXT_PREFIX = `${XMP_KEYWORD}\0\0\0\0\0`;
+
+function readPngChunks(bytes: Uint8Array): Chunk[] | undefined {
+	const view = getView(bytes);
+	const chunks: Chunk[] = [];
+	let offset = 8;
+
+	while (offset + 12 <= bytes.length) {
+		const end = offset + 12 + view.getUint32(offset);
+		if (end > bytes.length) return undefined;
+
+		chunks.push({
+			type: readText(bytes, offset + 4, 4),
+			data: bytes.subarray(offset + 8, end - 4),
+		});
+		offset = end;
+	}
+
+	return chunks;
+}
+
+function writePngChunks(chunks: Chunk[]): Uint8Array {
+	return concat([
+		PNG_SIGNATURE,
+		...chunks.flatMap(({type, data}) => {
+			const typeAndData = concat([toBytes(type), data]);
+			const length = new Uint8Array(4);
+			const crc = new Uint8Array(4);
+			getView(length).setUint32(0, data.length);
+			getView(crc).setUint32(0, crc32(typeAndData));
+			return [length, typeAndData, crc];
+		}),
+	]);
+}
+
+function isXmpChunk(chunk: Chunk): boolean {
+	return (
+		chunk.type === 'iTXt' && startsWith(chunk.data, 0, `${XMP_KEYWORD}\0`)
+	);
+}
+
+const png: Container = {
+	read(bytes) {
+		const chunks = readPngChunks(bytes);
+		if (!chunks) return undefined;
+
+		const xmp = chunks.find((chunk) => isXmpChunk(chunk));
+		return {
+			exif: chunks.find((chunk) => chunk.type === 'eXIf')?.data,
+			// Compressed packets are rare, and left out
+			xmp:
+				xmp && startsWith(xmp.data, 0, XMP_TEXT_PREFIX)
+					? xmp.data.subarray(XMP_TEXT_PREFIX.length)
+					: undefined,
+		};
+	},
+	write(bytes, {exif, xmp}) {
+		const chunks = readPngChunks(bytes)?.filter(
+			(chunk) => chunk.type !== 'eXIf' && !isXmpChunk(chunk),
+		);
+		if (!chunks) return undefined;
+
+		// Metadata has to come before the image data
+		const index = chunks.findIndex((chunk) => chunk.type === 'IDAT');
+		if (index === -1) return undefined;
+		chunks.splice(
+			index,
+			0,
+			...(exif ? [{type: 'eXIf', data: exif}] : []),
+			...(xmp
+				? [
+						{
+							type: 'iTXt',
+							data: concat([toBytes(XMP_TEXT_PREFIX), xmp]),
+						},
+					]
+				: []),
+		);
+
+		return writePngChunks(chunks);
+	},
+};
+
+/* ------------------------------- policy ------------------------------- */
+
+function getContainer(bytes: Uint8Array): Container | undefined {
+	if (bytes[0] === 0xff && bytes[1] === 0xd8) return jpeg;
+	if (
+		bytes.length > 8 &&
+		PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)
+	) {
+		return png;
+	}
+
+	if (startsWith(bytes, 0, 'RIFF') && startsWith(bytes, 8, 'WEBP')) {
+		return webp;
+	}
+
+	return undefined;
+}
+
+function readMetadata(bytes: Uint8Array): Metadata | undefined {
+	return getContainer(bytes)?.read(bytes);
+}
+
+/** Whether the image has GPS coordinates, in its EXIF or its XMP */
+export function hasGpsData(buffer: ArrayBuffer): boolean {
+	const metadata = readMetadata(new Uint8Array(buffer));
+	if (metadata?.exif && hasGpsEntries(metadata.exif)) return true;
+
+	return metadata?.xmp
+		? new TextDecoder().decode(metadata.xmp).includes('GPSLatitude')
+		: false;
+}
+
+/**
+ * Apply the metadata policy to an encoded image. With `source`, its
+ * metadata is carried over, for encoders that drop it, and its orientation
+ * reset as the pixels were already rotated. Without, the image's own
+ * metadata is filtered.
+ */
+export function applyMetadataPolicy(
+	output: ArrayBuffer,
+	policy: MetadataPolicy,
+	source?: ArrayBuffer,
+): ArrayBuffer {
+	const bytes = new Uint8Array(output);
+	const container = getContainer(bytes);
+	const metadata = readMetadata(new Uint8Array(source ?? output));
+	if (!container || (!metadata?.exif && !metadata?.xmp)) return output;
+
+	const written = container.write(bytes, {
+		exif:
+			metadata.exif && filterExif(metadata.exif, policy, Boolean(source)),
+		// XMP may hold the location as well, so only all of it is kept
+		xmp: policy === 'keep' ? metadata.xmp : undefined,
+	});
+	return written ? (written.buffer as ArrayBuffer) : output;
+}
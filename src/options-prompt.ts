@@ -0,0 +1,147 @@
+import {type App, Modal, Setting, type TFile} from 'obsidian';
+import {
+	type CompressionBackend,
+	getFormatOptions,
+	type OutputFormat,
+} from './compression.js';
+import type {ProcessOverrides} from './types.js';
+
+type PromptDefaults = {
+	compressionBackend: CompressionBackend;
+	outputFormat: OutputFormat;
+	quality: number;
+};
+
+// The prompt shown last, or waiting to be shown
+let lastPrompt: Promise<unknown> = Promise.resolve();
+
+/**
+ * Ask how to optimize `file`. Resolves with the overrides for this file,
+ * or undefined to skip it. Prompts are shown one at a time, e.g. when
+ * several images are dropped at once.
+ */
+export async function promptProcessOverrides(
+	app: App,
+	// Also a pasted image, before it is written
+	file: Pick<TFile, 'name' | 'basename'>,
+	defaults: PromptDefaults,
+): Promise<ProcessOverrides | undefined> {
+	const prompt = lastPrompt.then(
+		async () =>
+			new Promise<ProcessOverrides | undefined>((resolve) => {
+				new OptionsPromptModal(app, file, defaults, resolve).open();
+			}),
+	);
+	lastPrompt = prompt;
+	return prompt;
+}
+
+class OptionsPromptModal extends Modal {
+	private isChosen = false;
+
+	constructor(
+		app: App,
+		private readonly file: Pick<TFile, 'name' | 'basename'>,
+		private readonly defaults: PromptDefaults,
+		private readonly onChoose: (
+			overrides: ProcessOverrides | undefined,
+		) => void,
+	) {
+		super(app);
+	}
+
+	onOpen() {
+		const {contentEl} = this;
+		this.titleEl.setText(`Optimize ${this.file.name}?`);
+
+		new Setting(contentEl)
+			.addButton((button) =>
+				button
+					.setButtonText('Full pipeline')
+					.setCta()
+					.onClick(() => {
+						this.choose({});
+					}),
+			)
+			.addButton((button) =>
+				button.setButtonText('Rename only').onClick(() => {
+					this.choose({isCompressEnabled: false});
+				}),
+			)
+			.addButton((button) =>
+				button.setButtonText('Compress only').onClick(() => {
+					this.choose({
+						isCompressEnabled: true,
+						isSlugifyEnabled: false,
+						isHashEnabled: false,
+					});
+				}),
+			)
+			.addButton((button) =>
+				button.setButtonText('Skip').onClick(() => {
+					this.close();
+				}),
+			);
+
+		this.renderCustomOptions(contentEl);
+	}
+
+	onClose() {
+		this.contentEl.empty();
+		// Closing without a choice skips the image
+		if (!this.isChosen) this.onChoose(undefined);
+	}
+
+	private renderCustomOptions(containerElement: HTMLElement) {
+		containerElement.createEl('h4', {text: 'Custom'});
+
+		const custom: ProcessOverrides = {
+			isCompressEnabled: true,
+			outputFormat: this.defaults.outputFormat,
+			quality: this.defaults.quality,
+		};
+		new Setting(containerElement)
+			.setName('Output format')
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(
+						getFormatOptions(this.defaults.compressionBackend),
+					)
+					.setValue(this.defaults.outputFormat)
+					.onChange((value) => {
+						custom.outputFormat = value as OutputFormat;
+					}),
+			);
+
+		new Setting(containerElement).setName('Quality').addSlider((slider) =>
+			slider
+				.setLimits(1, 100, 1)
+				.setDynamicTooltip()
+				.setValue(this.defaults.quality)
+				.onChange((value) => {
+					custom.quality = value;
+				}),
+		);
+
+		new Setting(containerElement)
+			.setName('Name')
+			.setDesc('Leave empty to use the filename template.')
+			.addText((text) =>
+				text.setPlaceholder(this.file.basename).onChange((value) => {
+					custom.basename = value.trim() || undefined;
+				}),
+			);
+
+		new Setting(containerElement).addButton((button) =>
+			button.setButtonText('Optimize with custom options').onClick(() => {
+				this.choose(custom);
+			}),
+		);
+	}
+
+	private choose(overrides: ProcessOverrides) {
+		this.isChosen = true;
+		this.close();
+		this.onChoose(overrides);
+	}
+}
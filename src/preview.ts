@@ -0,0 +1,131 @@
+import {type App, Modal, Setting} from 'obsidian';
+import {sanitizeBasename} from './template.js';
+import type {PlanDecision, ProcessPlan} from './types.js';
+import {capitalize, formatSize} from './utils.js';
+
+/** Open the preview, resolving with one decision per plan */
+export async function reviewPlans(
+	app: App,
+	plans: ProcessPlan[],
+): Promise<PlanDecision[]> {
+	return new Promise((resolve) => {
+		new PreviewModal(app, plans, resolve).open();
+	});
+}
+
+/** Approve, skip or rename planned files before anything is written */
+class PreviewModal extends Modal {
+	private readonly decisions: PlanDecision[];
+	private isSubmitted = false;
+
+	constructor(
+		app: App,
+		private readonly plans: ProcessPlan[],
+		private readonly onSubmit: (decisions: PlanDecision[]) => void,
+	) {
+		super(app);
+		this.decisions = plans.map((plan) => ({
+			isApproved: true,
+			basename: plan.basename,
+		}));
+	}
+
+	onOpen() {
+		const {contentEl, plans} = this;
+		this.titleEl.setText(
+			plans.length === 1
+				? `Preview: ${plans[0].file.name}`
+				: `Preview: ${plans.length} images`,
+		);
+
+		for (const [index, plan] of plans.entries()) {
+			this.renderPlan(contentEl, plan, index);
+		}
+
+		new Setting(contentEl)
+			.addButton((button) =>
+				button.setButtonText('Cancel').onClick(() => {
+					this.close();
+				}),
+			)
+			.addButton((button) =>
+				button
+					.setButtonText('Apply')
+					.setCta()
+					.onClick(() => {
+						this.isSubmitted = true;
+						this.close();
+						this.onSubmit(this.decisions);
+					}),
+			);
+	}
+
+	onClose() {
+		this.contentEl.empty();
+		// Closing without applying skips everything
+		if (!this.isSubmitted) {
+			this.onSubmit(this.plans.map(() => ({isApproved: false})));
+		}
+	}
+
+	private renderPlan(
+		containerElement: HTMLElement,
+		plan: ProcessPlan,
+		index: number,
+	) {
+		const savings =
+			plan.sizeBefore > 0
+				? Math.round((1 - plan.sizeAfter / plan.sizeBefore) * 100)
+				: 0;
+		const description = createFragment();
+		description.createDiv({
+			text: `${formatSize(plan.sizeBefore)} → ${formatSize(plan.sizeAfter)} (${savings}% smaller)`,
+		});
+		if (plan.decisions.length > 0) {
+			description.createDiv({
+				text: capitalize(plan.decisions.join(', ')),
+			});
+		}
+
+		description.createDiv({
+			text:
+				plan.linkedNotes.length > 0
+					? `Links rewritten in: ${plan.linkedNotes.join(', ')}`
+					: 'Not linked from any note',
+		});
+
+		let basename = plan.basename;
+		let isApproved = true;
+		const update = () => {
+			this.decisions[index] = isApproved
+				? {isApproved: true, basename}
+				: {isApproved: false};
+		};
+
+		new Setting(containerElement)
+			.setName(plan.file.path)
+			.setDesc(description)
+			.addText((text) => {
+				text.setValue(plan.basename).onChange((value) => {
+					basename = sanitizeBasename(value) || plan.basename;
+					update();
+				});
+				// The folder is part of the destination, e.g. chosen by a rule
+				text.inputEl.before(
+					createSpan({
+						text: plan.folderPath ? `${plan.folderPath}/` : '/',
+					}),
+				);
+				text.inputEl.after(createSpan({text: `.${plan.extension}`}));
+			})
+			.addToggle((toggle) =>
+				toggle
+					.setTooltip('Approve')
+					.setValue(true)
+					.onChange((value) => {
+						isApproved = value;
+						update();
+					}),
+			);
+	}
+}
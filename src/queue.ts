@@ -0,0 +1,221 @@
+import {type App, Modal, Notice, Setting, type TFile} from 'obsidian';
+import type {ProcessFile, ProcessOptions, ProcessResult} from './types.js';
+
+// First retry waits this long, then doubles for every following attempt
+const RETRY_BASE_DELAY = 1000;
+
+type JobState = 'pending' | 'active' | 'retrying';
+
+type Job = {
+	file: TFile;
+	options: ProcessOptions;
+	state: JobState;
+	attempt: number;
+	promise: Promise<ProcessResult>;
+	resolve: (result: ProcessResult) => void;
+	retryTimer?: ReturnType<typeof setTimeout>;
+};
+
+export type QueueSettings = {
+	concurrency: number;
+	maxRetries: number;
+};
+
+export type QueueJobInfo = {
+	path: string;
+	state: JobState;
+	attempt: number;
+};
+
+/**
+ * Options of a job joined by a second caller. Notices are shown and the
+ * preview is kept when either asked for them, newer overrides win.
+ */
+function mergeOptions(
+	current: ProcessOptions,
+	added: ProcessOptions,
+): ProcessOptions {
+	const quiet = Boolean(current.quiet && added.quiet);
+	const skipMetadataWait = Boolean(
+		current.skipMetadataWait && added.skipMetadataWait,
+	);
+	const isDryRun = Boolean(current.isDryRun && added.isDryRun);
+	return {
+		...current,
+		...added,
+		quiet,
+		skipMetadataWait,
+		isDryRun,
+		confirm: added.confirm ?? current.confirm,
+		overrides: {...current.overrides, ...added.overrides},
+	};
+}
+
+export class ProcessingQueue {
+	// Keyed by path, so a file with several create events is processed once
+	private readonly jobs = new Map<string, Job>();
+	private activeCount = 0;
+
+	constructor(
+		private readonly processFile: ProcessFile,
+		private readonly getSettings: () => QueueSettings,
+		// Called with the final result of each job, after any retries
+		private readonly onSettled?: (
+			file: TFile,
+			result: ProcessResult,
+		) => void,
+	) {}
+
+	/**
+	 * Queue a file, or join the existing job for the same path. Until the job
+	 * runs, the options of both are merged.
+	 */
+	async add(
+		file: TFile,
+		options: ProcessOptions = {},
+	): Promise<ProcessResult> {
+		const existing = this.jobs.get(file.path);
+		if (existing) {
+			if (existing.state !== 'active') {
+				existing.options = mergeOptions(existing.options, options);
+			}
+
+			return existing.promise;
+		}
+
+		let resolve!: (result: ProcessResult) => void;
+		const promise = new Promise<ProcessResult>((_resolve) => {
+			resolve = _resolve;
+		});
+		this.jobs.set(file.path, {
+			file,
+			options,
+			state: 'pending',
+			attempt: 0,
+			promise,
+			resolve,
+		});
+		this.pump();
+
+		return promise;
+	}
+
+	getJobs(): QueueJobInfo[] {
+		return [...this.jobs.entries()].map(([path, job]) => ({
+			path,
+			state: job.state,
+			attempt: job.attempt,
+		}));
+	}
+
+	/** Drop all jobs that have not started yet. Returns how many were dropped */
+	clear(): number {
+		let count = 0;
+		for (const [path, job] of this.jobs) {
+			if (job.state === 'active') continue;
+
+			globalThis.clearTimeout(job.retryTimer);
+			this.jobs.delete(path);
+			job.resolve({status: 'skipped', reason: 'Removed from queue'});
+			count++;
+		}
+
+		return count;
+	}
+
+	private pump() {
+		const {concurrency} = this.getSettings();
+
+		for (const job of this.jobs.values()) {
+			if (this.activeCount >= Math.max(1, concurrency)) return;
+			if (job.state !== 'pending') continue;
+
+			void this.runJob(job);
+		}
+	}
+
+	private async runJob(job: Job) {
+		job.state = 'active';
+		job.attempt++;
+		this.activeCount++;
+
+		let result: ProcessResult;
+		try {
+			result = await this.processFile(job.file, job.options);
+		} catch (error) {
+			console.error('Error during image processing:', error);
+			// The file may be half moved already, only retry known failures
+			result = {
+				status: 'failed',
+				reason: error instanceof Error ? error.message : String(error),
+			};
+		}
+
+		this.activeCount--;
+
+		const {maxRetries} = this.getSettings();
+		if (
+			result.status === 'failed' &&
+			result.isRetryable &&
+			job.attempt <= maxRetries
+		) {
+			job.state = 'retrying';
+			job.retryTimer = globalThis.setTimeout(
+				() => {
+					job.state = 'pending';
+					this.pump();
+				},
+				RETRY_BASE_DELAY * 2 ** (job.attempt - 1),
+			);
+		} else {
+			this.jobs.delete(job.file.path);
+			this.onSettled?.(job.file, result);
+			job.resolve(result);
+		}
+
+		this.pump();
+	}
+}
+
+export class QueueModal extends Modal {
+	constructor(
+		app: App,
+		private readonly queue: ProcessingQueue,
+	) {
+		super(app);
+	}
+
+	onOpen() {
+		this.render();
+	}
+
+	onClose() {
+		this.contentEl.empty();
+	}
+
+	private render() {
+		const {contentEl} = this;
+		contentEl.empty();
+		this.titleEl.setText('Image Optimizer queue');
+
+		const jobs = this.queue.getJobs();
+		if (jobs.length === 0) {
+			contentEl.createEl('p', {text: 'The queue is empty.'});
+			return;
+		}
+
+		const list = contentEl.createEl('ul');
+		for (const job of jobs) {
+			const attempt = job.attempt > 1 ? `, attempt ${job.attempt}` : '';
+			list.createEl('li', {text: `${job.path} (${job.state}${attempt})`});
+		}
+
+		new Setting(contentEl).addButton((button) =>
+			button.setButtonText('Clear pending jobs').onClick(() => {
+				const count = this.queue.clear();
+				new Notice(`Image Optimizer: Cleared ${count} pending job(s)`);
+				this.render();
+			}),
+		);
+	}
+}
@@ -0,0 +1,154 @@
+import type {App, TFile} from 'obsidian';
+import {describe, expect, it} from 'vitest';
+import type {BackupSettings} from './backup.js';
+import {
+	TFile as MockFile,
+	TFolder as MockFolder,
+} from './__mocks__/obsidian.js';
+import {
+	globToRegex,
+	parseExtensions,
+	parseList,
+	RuleChecker,
+	type RuleSettings,
+} from './rules.js';
+
+const settings: RuleSettings & BackupSettings = {
+	allowedExtensions: 'png, jpg',
+	includePatterns: '',
+	excludePatterns: '',
+	minFileSizeKb: 0,
+	maxFileSizeKb: 0,
+	optOutMarkerFile: '',
+	optOutFrontmatterKey: '',
+	originalsPolicy: 'backup',
+	backupFolder: 'backups',
+};
+
+/** An image at `path`, with its folders up to the vault root */
+function createImage(path: string, size = 1024): TFile {
+	const file = new MockFile(path);
+	file.stat.size = size;
+	let child: MockFile | MockFolder = file;
+	const parts = path.split('/').slice(0, -1);
+	while (parts.length > 0) {
+		const folder = new MockFolder(parts.join('/'));
+		folder.children.push(child);
+		child.parent = folder;
+		child = folder;
+		parts.pop();
+	}
+
+	child.parent = new MockFolder('/');
+	return file as unknown as TFile;
+}
+
+function createChecker(
+	overrides: Partial<typeof settings>,
+	markerPaths: string[] = [],
+) {
+	const app = {
+		vault: {
+			adapter: {
+				exists: async (path: string) => markerPaths.includes(path),
+			},
+		},
+	} as unknown as App;
+	return new RuleChecker(app, () => ({...settings, ...overrides}));
+}
+
+describe('parseList', () => {
+	it('splits on commas and newlines, dropping empty entries', () => {
+		expect(parseList(' a, b\nc ,, \n')).toEqual(['a', 'b', 'c']);
+	});
+});
+
+describe('parseExtensions', () => {
+	it('lowercases and drops leading dots', () => {
+		expect(parseExtensions('.PNG, jpg')).toEqual(['png', 'jpg']);
+	});
+});
+
+describe('globToRegex', () => {
+	it('matches `*` and `?` within one folder', () => {
+		const regex = globToRegex('images/*.png');
+		expect(regex.test('images/a.png')).toBe(true);
+		expect(regex.test('images/sub/a.png')).toBe(false);
+		expect(globToRegex('a?.png').test('ab.png')).toBe(true);
+	});
+
+	it('matches `**` across folders', () => {
+		const regex = globToRegex('**/drafts/**');
+		expect(regex.test('drafts/a.png')).toBe(true);
+		expect(regex.test('notes/drafts/sub/a.png')).toBe(true);
+	});
+
+	it('matches everything inside a matched folder', () => {
+		expect(globToRegex('/Archive/').test('archive/2024/a.png')).toBe(true);
+	});
+
+	it('escapes regex characters', () => {
+		expect(globToRegex('a+b (1).png').test('a+b (1).png')).toBe(true);
+		expect(globToRegex('a.png').test('abpng')).toBe(false);
+	});
+});
+
+describe('RuleChecker', () => {
+	it('allows images that pass every rule', async () => {
+		expect(await createChecker({}).check(createImage('a/b.png'))).toEqual({
+			isAllowed: true,
+		});
+	});
+
+	it('rejects other extensions and backed up originals', async () => {
+		const checker = createChecker({});
+		expect(await checker.check(createImage('a/b.gif'))).toEqual({
+			isAllowed: false,
+			reason: '.gif is not an allowed extension',
+		});
+		expect(await checker.check(createImage('backups/b.png'))).toEqual({
+			isAllowed: false,
+			reason: 'In the backup folder',
+		});
+	});
+
+	it('applies the include and exclude patterns', async () => {
+		const checker = createChecker({
+			includePatterns: 'images',
+			excludePatterns: '**/raw',
+		});
+		expect(await checker.check(createImage('notes/a.png'))).toEqual({
+			isAllowed: false,
+			reason: 'Not matched by any include rule',
+		});
+		expect(await checker.check(createImage('images/raw/a.png'))).toEqual({
+			isAllowed: false,
+			reason: 'Matches exclude rule "**/raw"',
+		});
+	});
+
+	it('applies the size limits', async () => {
+		const checker = createChecker({minFileSizeKb: 2, maxFileSizeKb: 4});
+		expect(await checker.check(createImage('a.png', 1024))).toEqual({
+			isAllowed: false,
+			reason: 'Smaller than 2 KB',
+		});
+		expect(await checker.check(createImage('a.png', 5 * 1024))).toEqual({
+			isAllowed: false,
+			reason: 'Larger than 4 KB',
+		});
+	});
+
+	it('honours a marker file in the folder or a parent', async () => {
+		const checker = createChecker({optOutMarkerFile: '.no-optimize'}, [
+			'a/.no-optimize',
+		]);
+		expect(await checker.check(createImage('a/b/c.png'))).toEqual({
+			isAllowed: false,
+			reason: 'Folder "a" opted out',
+		});
+		expect(await checker.check(createImage('d/c.png'))).toEqual({
+			isAllowed: true,
+		});
+	});
+});
@@ -0,0 +1,190 @@
+import {type App, type TFile, TFolder} from 'obsidian';
+import {type BackupSettings, isInBackupFolder} from './backup.js';
+import {isImage} from './utils.js';
+
+export type RuleSettings = {
+	allowedExtensions: string;
+	includePatterns: string;
+	excludePatterns: string;
+	minFileSizeKb: number;
+	maxFileSizeKb: number;
+	optOutMarkerFile: string;
+	optOutFrontmatterKey: string;
+};
+
+/** What the rules look at, of an image in the vault or about to be written */
+export type RuleSubject = Pick<TFile, 'path' | 'extension' | 'parent'> & {
+	stat: {size: number};
+};
+
+export type RuleResult = {isAllowed: true} | {isAllowed: false; reason: string};
+
+/** Split a comma or newline separated setting into trimmed entries */
+export function parseList(value: string): string[] {
+	return value
+		.split(/[,\n]/)
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+}
+
+export function parseExtensions(value: string): string[] {
+	return parseList(value).map((extension) =>
+		extension.replace(/^\./, '').toLowerCase(),
+	);
+}
+
+/**
+ * Glob to regex: `**` matches across folders, `*` and `?` within one.
+ * A pattern matching a folder also matches everything inside it.
+ */
+export function globToRegex(pattern: string): RegExp {
+	const trimmed = pattern.replaceAll(/^\/+|\/+$/g, '');
+	const source = trimmed
+		.split(/(\*\*\/?|\*|\?)/)
+		.map((part) => {
+			if (part === '**/') return '(?:.*/)?';
+			if (part === '**') return '.*';
+			if (part === '*') return '[^/]*';
+			if (part === '?') return '[^/]';
+			return part.replaceAll(/[.+^${}()|[\]\\]/g, String.raw`\$&`);
+		})
+		.join('');
+
+	return new RegExp(`^${source}(?:/.*)?$`, 'i');
+}
+
+function matchesAny(filePath: string, patterns: string[]): string | undefined {
+	return patterns.find((pattern) => globToRegex(pattern).test(filePath));
+}
+
+export class RuleChecker {
+	constructor(
+		private readonly app: App,
+		private readonly getSettings: () => RuleSettings & BackupSettings,
+	) {}
+
+	isAllowedExtension(file: Pick<TFile, 'extension'>): boolean {
+		return isImage(
+			file,
+			parseExtensions(this.getSettings().allowedExtensions),
+		);
+	}
+
+	async check(file: RuleSubject): Promise<RuleResult> {
+		const settings = this.getSettings();
+
+		if (!this.isAllowedExtension(file)) {
+			return {
+				isAllowed: false,
+				reason: `.${file.extension} is not an allowed extension`,
+			};
+		}
+
+		// Backed up originals must stay untouched
+		if (isInBackupFolder(file.path, settings)) {
+			return {isAllowed: false, reason: 'In the backup folder'};
+		}
+
+		const includePatterns = parseList(settings.includePatterns);
+		if (
+			includePatterns.length > 0 &&
+			!matchesAny(file.path, includePatterns)
+		) {
+			return {
+				isAllowed: false,
+				reason: 'Not matched by any include rule',
+			};
+		}
+
+		const excluded = matchesAny(
+			file.path,
+			parseList(settings.excludePatterns),
+		);
+		if (excluded) {
+			return {
+				isAllowed: false,
+				reason: `Matches exclude rule "${excluded}"`,
+			};
+		}
+
+		const sizeKb = file.stat.size / 1024;
+		if (settings.minFileSizeKb > 0 && sizeKb < settings.minFileSizeKb) {
+			return {
+				isAllowed: false,
+				reason: `Smaller than ${settings.minFileSizeKb} KB`,
+			};
+		}
+
+		if (settings.maxFileSizeKb > 0 && sizeKb > settings.maxFileSizeKb) {
+			return {
+				isAllowed: false,
+				reason: `Larger than ${settings.maxFileSizeKb} KB`,
+			};
+		}
+
+		const optedOutFolder = await this.findOptedOutFolder(file);
+		if (optedOutFolder !== undefined) {
+			return {
+				isAllowed: false,
+				reason: `Folder "${optedOutFolder}" opted out`,
+			};
+		}
+
+		return {isAllowed: true};
+	}
+
+	/** Closest folder (or ancestor) of `file` that opted out, if any */
+	private async findOptedOutFolder(
+		file: RuleSubject,
+	): Promise<string | undefined> {
+		const {optOutMarkerFile, optOutFrontmatterKey} = this.getSettings();
+		if (!optOutMarkerFile && !optOutFrontmatterKey) return undefined;
+
+		const folders: TFolder[] = [];
+		for (let folder = file.parent; folder; folder = folder.parent) {
+			folders.push(folder);
+		}
+
+		const results = await Promise.all(
+			folders.map(async (folder) => {
+				if (optOutMarkerFile && (await this.hasMarkerFile(folder))) {
+					return true;
+				}
+
+				return optOutFrontmatterKey
+					? this.hasOptOutFrontmatter(folder)
+					: false;
+			}),
+		);
+		const index = results.indexOf(true);
+
+		return index === -1 ? undefined : folders[index].path;
+	}
+
+	private async hasMarkerFile(folder: TFolder): Promise<boolean> {
+		const {optOutMarkerFile} = this.getSettings();
+		const markerPath = folder.isRoot()
+			? optOutMarkerFile
+			: `${folder.path}/${optOutMarkerFile}`;
+
+		// The adapter also sees dotfiles, which the vault does not index
+		return this.app.vault.adapter.exists(markerPath);
+	}
+
+	/** Folder note (`Folder/Folder.md`) with e.g. `image-optimizer: false` */
+	private hasOptOutFrontmatter(folder: TFolder): boolean {
+		if (folder.isRoot()) return false;
+
+		const folderNote = folder.children.find(
+			(child) =>
+				!(child instanceof TFolder) &&
+				child.name === `${folder.name}.md`,
+		);
+		if (!folderNote) return false;
+
+		const frontmatter = this.app.metadataCache.getCache(
+			folderNote.path,
+		)?.frontmatter;
+		return frontmatter?.[this.getSettings().optOutFrontmatterKey] === false;
+	}
+}
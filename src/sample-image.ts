@@ -0,0 +1,3 @@
+// 24×24 PNG gradient, for testing the compression script
+export const SAMPLE_PNG_BASE64 =
+	'iVBORw0KGgoAAAANSUhEUgAAABgAAAAYCAIAAABvFaqvAAAEsUlEQVR42g3SEYM8LRwA4J+8kpwkJ8lKspKsJCvJSjKSjCQjyUgykowkI8lKspKsJCvJSXKSnCR/6XO88wUeegAAEPyHARH4ooAZfHMgAi4SqIKrBmbgZoE7uHsQAR4RZIIpgyowV9ANlg5mwHoy/yGEMPoiCFP0zRDh6CIQleiqENPoZhC36O6Q8OgRkIxoSkhlNBekK1oaMh2tA1kAfDJfGGOCvykmDF84pgJfJWYK3zTmBt8tFg4/PJYBTxGrhOeMdcFLxabhtWM78AZAvhA5mW9CCCUXRignV0GYJDdFuCZ3Q4QlD0ekJ1MgKpI5EZ3JUoipZG3EdrIN4gAoRvQb05O5UEoZvXLKBL1JyhW9ayoMfVgqHZ08VYHOkepEl0xNoWulttGtUzfoDsC+ESOYXQg7mStjjLObYFyyu2JCs4dh0rLJMeXZHJiObEnMZLYWZivbGnOd7YN5AE4Qv2BOCb9SfjI3zrngd8mF4g/NpeGT5crx2XMd+BK5SXzN3Ba+Ve4a3zv3gx8A4oIExeJKBKPixsTJ3IUQUjyUkFpMRigrZie0F0sQJoo1CZvFVoSrYm/Cd3GMMwZIiuQVS0bkjUrO5J3Lk3lIKZWctFRGzlZqJxcvTZBrlDbJLUtX5F6lb/LoMgz5BFBXpBhWN6I4VXemBFcPoU5mUkppNRulrVqcMl6tQdmotqRcVntRvqqjqdDVc6gIoBnSN6w50XeqBdMPrqXQk9QnM2utjV6sNk6vXtugt6hd0nvWvuij6tD0s+s49AvA3JDh2NyJEdQ8mJHcTMIoaWZlTmYxxlizOmO92YJx0ezJ+GyOYkI1z2ZiN69hEoDlyN6xFcQ+qJXMTtwqYWdptbKLtiezWmud3bx1we7R+mSPbEOxz2pjs69u07BvAHdHTmD3IE5SNzGnuJuF09ItyhntVuNOZnPOebcH56M7kgvZPYuL1b2aS929h8sAXiD/wF4SP1GvmJ+518Iv0hvlV+2t8Zv1J7N774M/og/JP7OPxb+qT82/u8/DfwDCAwWJw0SComFmQfOwiGBkWFWwOmwmOBt2F07mCCHE8Ewh5vAqIdXwbiH38BmhAESJ4oSjInGmUbO48GhEXGW0Km46OhN3G72Lh48n84wxpvjKMZX4rjG3+OmxjPgDkCaUFE4zSZqmhSXD0yqSlWlTyem0m+RtOlwKPj1DOplXSimnd0m5pk9LpaefkSpAVijPOGuSF5oNyyvPVuRNZqfyrrM3+bA5uPz0OYb8ivlk3jnnkj81l5Z/eq4j/wKUGRWNy0KKoWVlxfKyieJk2VXxuhymBFuerkRfXqGkWN6pnMynlFLLTyu1l99RGkDVqC64GlJXWi2rG69O1F1Wr+qhazD1aWt09eVrCvUda071k+vJ/NRaW/3ttY36B9AW1AxuK2mWto01x9sumpftUC3o9jQt2vZyLfn2Di3H9kmt5PZT2sn8ttZ6+xutA3SD+oq7JX2j3bG+8+5FP2QPqj91j6a/bE+uv33PoX9iL6n/5F5L/639ZP5676P/AxgrGhaPjQxHx86G5+MQI8jxVCPq8TIj2fF2I/vxCaPE8ZNGzeO3jFbHXxsn82+M8T+nGAhubdXEjgAAAABJRU5ErkJggg==';
@@ -0,0 +1,1209 @@
+import {Notice, Platform, PluginSettingTab, Setting} from 'obsidian';
+import type {BackupSettings, OriginalsPolicy} from './backup.js';
+import {
+	type CompressionBackend,
+	type CompressionPolicy,
+	type CompressionSettings,
+	type FormatRule,
+	formatToExtension,
+	getFormatOptions,
+	type OutputFormat,
+	resetUnsupportedFormats,
+	resolveOutputFormat,
+} from './compression.js';
+import {
+	type DestinationSettings,
+	findInvalidDestinationRules,
+} from './destination.js';
+import {
+	checkRuntimePath,
+	checkScriptPath,
+	type CompressionTestResult,
+	detectRuntimes,
+	type PathCheck,
+	testCompressionScript,
+} from './diagnostics.js';
+import {
+	HASH_ALGORITHMS,
+	type HashAlgorithm,
+	type HashEncoding,
+	type HashSettings,
+	type HashSource,
+	hashForName,
+} from './hash.js';
+import type MyPlugin from './main.js';
+import {METADATA_POLICIES, type MetadataPolicy} from './metadata.js';
+import {parseExtensions, type RuleSettings} from './rules.js';
+import {type CjkMode, type SlugSettings, slugify} from './slug.js';
+import {
+	DEFAULT_TEMPLATE,
+	findUnknownVariables,
+	renderTemplate,
+	resolveTemplate,
+} from './template.js';
+import {formatSize} from './utils.js';
+import type {VariantSettings} from './variants.js';
+
+export type PluginSettings = RuleSettings &
+	CompressionSettings &
+	BackupSettings &
+	DestinationSettings &
+	HashSettings &
+	SlugSettings &
+	VariantSettings & {
+		isTriggerOnCreate: boolean;
+		isEditorHookEnabled: boolean;
+		isPreviewEnabled: boolean;
+		isPromptEnabled: boolean;
+		isCompressEnabled: boolean;
+		isSlugifyEnabled: boolean;
+		isHashEnabled: boolean;
+		filenameTemplate: string;
+		isDeduplicationEnabled: boolean;
+		isStaleHashWatched: boolean;
+		isRehashRecompressed: boolean;
+		queueConcurrency: number;
+		queueMaxRetries: number;
+	};
+
+export const DEFAULT_SETTINGS: PluginSettings = {
+	compressionBackend: 'builtin',
+	runtimeAbsolutePath: '',
+	compressionScriptAbsolutePath: '',
+	scriptProtocol: 'v1',
+	outputFormat: 'webp',
+	// Animated GIFs would lose their animation
+	formatRules: {gif: 'keep'},
+	isTransparentPngKept: true,
+	skipCompressionBelowKb: 0,
+	minSavingsPercent: 0,
+	minSavingsKb: 0,
+	maxWidth: 0,
+	maxHeight: 0,
+	quality: 70,
+	metadataPolicy: 'strip',
+	extraArgs: '',
+	timeoutSeconds: 60,
+	isTriggerOnCreate: true,
+	isEditorHookEnabled: false,
+	isPreviewEnabled: false,
+	isPromptEnabled: false,
+	isCompressEnabled: true,
+	isSlugifyEnabled: true,
+	isHashEnabled: true,
+	filenameTemplate: DEFAULT_TEMPLATE,
+	slugSeparator: '-',
+	slugMaxLength: 0,
+	slugStopwords: '',
+	slugReplacements: '',
+	slugCjkMode: 'romanize',
+	hashAlgorithm: 'md5',
+	hashLength: 8,
+	hashEncoding: 'hex',
+	hashSource: 'output',
+	isDeduplicationEnabled: true,
+	isStaleHashWatched: true,
+	isRehashRecompressed: false,
+	queueConcurrency: 2,
+	queueMaxRetries: 2,
+	originalsPolicy: 'delete',
+	backupFolder: 'image-optimizer-backups',
+	destinationRules: '',
+	isVariantsEnabled: false,
+	variantWidths: '320, 640, 1280',
+	allowedExtensions: 'png, jpg, jpeg, webp, avif, gif',
+	includePatterns: '',
+	excludePatterns: '',
+	minFileSizeKb: 0,
+	maxFileSizeKb: 0,
+	optOutMarkerFile: '',
+	optOutFrontmatterKey: '',
+};
+
+export class SampleSettingTab extends PluginSettingTab {
+	// Path checks finish out of order while typing, only the last one counts
+	private pathCheckCount = 0;
+	private previewCount = 0;
+
+	constructor(private readonly plugin: MyPlugin) {
+		super(plugin.app, plugin);
+	}
+
+	display(): void {
+		const {containerEl} = this;
+		containerEl.empty();
+
+		containerEl.createEl('h2', {text: 'Image Plugin Settings'});
+
+		new Setting(containerEl)
+			.setName('Trigger automatically')
+			.setDesc(
+				'Automatically process new image files added to the vault.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isTriggerOnCreate)
+					.onChange(async (value) => {
+						this.plugin.settings.isTriggerOnCreate = value;
+						await this.plugin.saveSettings();
+						this.plugin.applySettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Optimize pasted and dropped images')
+			.setDesc(
+				'Compress and name images pasted or dropped into a note in memory, and write and embed only the final file. They go through the same rules, options prompt and steps as the trigger above. Needs the built-in backend when compressing, other images are left to the trigger above.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isEditorHookEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isEditorHookEnabled = value;
+						await this.plugin.saveSettings();
+						this.plugin.applySettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Preview before writing')
+			.setDesc(
+				'The manual command and batch runs show the new names, sizes and affected notes first, to approve, skip or rename each image.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isPreviewEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isPreviewEnabled = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Ask for options per image')
+			.setDesc(
+				'When an image is triggered, automatically or by the command, choose the full pipeline, rename only, compress only, skip, or a custom format, quality and name.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isPromptEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isPromptEnabled = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		containerEl.createEl('h3', {text: 'Pipeline'});
+
+		new Setting(containerEl)
+			.setName('Compress')
+			.setDesc(
+				'Compress images with the backend chosen below, built-in or a script. When disabled, images are only renamed, and the script settings are not needed.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isCompressEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isCompressEnabled = value;
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Slugify')
+			.setDesc(
+				'Fill in {slug} as a lowercase, transliterated name. When disabled, {slug} keeps the original name.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isSlugifyEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isSlugifyEnabled = value;
+						await this.plugin.saveSettings();
+						// Show or hide the slug settings
+						this.display();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Hash')
+			.setDesc(
+				'Fill in {hash} with the content hash. When disabled, hash variables are left out.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isHashEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isHashEnabled = value;
+						await this.plugin.saveSettings();
+						// Show or hide the hash settings
+						this.display();
+					}),
+			);
+
+		const templateSetting = new Setting(containerEl)
+			.setName('Filename template')
+			.setDesc(
+				'Variables: {slug}, {originalName}, {hash}, {hash:N}, {date:FORMAT}, {noteName}, {folder}, {width}, {height}, {ext}. The extension is added automatically, and a counter when the name is taken.',
+			)
+			.addText((text) =>
+				text
+					.setPlaceholder(DEFAULT_TEMPLATE)
+					.setValue(this.plugin.settings.filenameTemplate)
+					.onChange(async (value) => {
+						this.plugin.settings.filenameTemplate = value;
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+		const previewElement = templateSetting.descEl.createDiv();
+		this.renderTemplatePreview(previewElement);
+
+		if (this.plugin.settings.isSlugifyEnabled) {
+			this.displaySlugSettings(containerEl, previewElement);
+		}
+
+		if (this.plugin.settings.isHashEnabled) {
+			this.displayHashSettings(containerEl, previewElement);
+		}
+
+		new Setting(containerEl)
+			.setName('Deduplicate')
+			.setDesc(
+				'When an optimized image is identical to one already optimized or scanned, remove the new copy and point its links at the existing image.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isDeduplicationEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isDeduplicationEnabled = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Re-hash edited images')
+			.setDesc(
+				'When an image the plugin named is edited, e.g. in an external editor, rename it to its new content hash and update its links. The "Verify image hashes" command also checks other images whose names look optimized.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isStaleHashWatched)
+					.onChange(async (value) => {
+						this.plugin.settings.isStaleHashWatched = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Recompress edited images')
+			.setDesc('Compress edited images again before re-hashing them.')
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isRehashRecompressed)
+					.onChange(async (value) => {
+						this.plugin.settings.isRehashRecompressed = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		containerEl.createEl('h3', {text: 'Originals'});
+
+		new Setting(containerEl)
+			.setName('Replaced originals')
+			.setDesc(
+				'What happens to an original after it is replaced by its compressed version. Only backed up originals can be restored.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({
+						delete: 'Delete',
+						backup: 'Move to backup folder',
+						trash: 'Move to system trash',
+					})
+					.setValue(this.plugin.settings.originalsPolicy)
+					.onChange(async (value) => {
+						this.plugin.settings.originalsPolicy =
+							value as OriginalsPolicy;
+						await this.plugin.saveSettings();
+						this.display();
+					}),
+			);
+
+		if (this.plugin.settings.originalsPolicy === 'backup') {
+			new Setting(containerEl)
+				.setName('Backup folder')
+				.setDesc(
+					'Originals keep their folder structure inside it. Images in this folder are never optimized.',
+				)
+				.addText((text) =>
+					text
+						.setPlaceholder(DEFAULT_SETTINGS.backupFolder)
+						.setValue(this.plugin.settings.backupFolder)
+						.onChange(async (value) => {
+							this.plugin.settings.backupFolder =
+								value.trim().replaceAll(/^\/+|\/+$/g, '') ||
+								DEFAULT_SETTINGS.backupFolder;
+							await this.plugin.saveSettings();
+						}),
+				);
+		}
+
+		this.displayDestinationSettings(containerEl);
+		this.displayVariantSettings(containerEl);
+
+		containerEl.createEl('h3', {text: 'Rules'});
+		containerEl.createEl('p', {
+			cls: 'setting-item-description',
+			text: 'Automatic triggers and batch runs skip images that do not pass these rules. The manual command only warns.',
+		});
+
+		new Setting(containerEl)
+			.setName('Allowed extensions')
+			.setDesc('Comma separated, e.g. png, jpg, jpeg, webp')
+			.addText((text) =>
+				text
+					.setPlaceholder(DEFAULT_SETTINGS.allowedExtensions)
+					.setValue(this.plugin.settings.allowedExtensions)
+					.onChange(async (value) => {
+						this.plugin.settings.allowedExtensions = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Include folders')
+			.setDesc(
+				'One glob pattern per line, e.g. attachments or blog/**/images. When empty, the whole vault is included.',
+			)
+			.addTextArea((text) =>
+				text
+					.setValue(this.plugin.settings.includePatterns)
+					.onChange(async (value) => {
+						this.plugin.settings.includePatterns = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Exclude folders')
+			.setDesc(
+				'One glob pattern per line, e.g. .obsidian or **/originals',
+			)
+			.addTextArea((text) =>
+				text
+					.setValue(this.plugin.settings.excludePatterns)
+					.onChange(async (value) => {
+						this.plugin.settings.excludePatterns = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Minimum file size (KB)')
+			.setDesc('Skip smaller images. 0 for no minimum.')
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.minFileSizeKb.toString())
+					.onChange(async (value) => {
+						this.plugin.settings.minFileSizeKb = Number(value) || 0;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Maximum file size (KB)')
+			.setDesc('Skip larger images. 0 for no maximum.')
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.maxFileSizeKb.toString())
+					.onChange(async (value) => {
+						this.plugin.settings.maxFileSizeKb = Number(value) || 0;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Opt-out marker file')
+			.setDesc(
+				'Skip folders (and their subfolders) containing a file with this name, e.g. .nooptimize. Leave empty to disable.',
+			)
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.optOutMarkerFile)
+					.onChange(async (value) => {
+						this.plugin.settings.optOutMarkerFile = value.trim();
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Opt-out frontmatter key')
+			.setDesc(
+				'Skip folders whose folder note (Folder/Folder.md) sets this property to false, e.g. image-optimizer: false. Leave empty to disable.',
+			)
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.optOutFrontmatterKey)
+					.onChange(async (value) => {
+						this.plugin.settings.optOutFrontmatterKey =
+							value.trim();
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		containerEl.createEl('h3', {text: 'Queue'});
+
+		new Setting(containerEl)
+			.setName('Concurrent jobs')
+			.setDesc('How many images are processed at the same time.')
+			.addSlider((slider) =>
+				slider
+					.setLimits(1, 8, 1)
+					.setDynamicTooltip()
+					.setValue(this.plugin.settings.queueConcurrency)
+					.onChange(async (value) => {
+						this.plugin.settings.queueConcurrency = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		new Setting(containerEl)
+			.setName('Retries')
+			.setDesc(
+				'How many times an image is retried after a failure that may pass, like a file still being written, with increasing delays in between.',
+			)
+			.addSlider((slider) =>
+				slider
+					.setLimits(0, 5, 1)
+					.setDynamicTooltip()
+					.setValue(this.plugin.settings.queueMaxRetries)
+					.onChange(async (value) => {
+						this.plugin.settings.queueMaxRetries = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		containerEl.createEl('h3', {text: 'Compression'});
+
+		new Setting(containerEl)
+			.setName('Backend')
+			.setDesc(
+				'Built-in works right away, also on mobile, with WebP, JPEG and PNG. An external script (desktop only) can use any compressor, e.g. sharp.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({
+						builtin: 'Built-in',
+						script: 'External script',
+					})
+					.setValue(this.plugin.settings.compressionBackend)
+					.onChange(async (value) => {
+						this.plugin.settings.compressionBackend =
+							value as CompressionBackend;
+						const changed = resetUnsupportedFormats(
+							this.plugin.settings,
+							this.plugin.settings.compressionBackend,
+						);
+						if (changed.length > 0) {
+							new Notice(
+								`Image Optimizer: The built-in backend cannot encode AVIF, set the ${changed.join(', ')} to WebP`,
+							);
+						}
+
+						await this.plugin.saveSettings();
+						this.display();
+					}),
+			);
+
+		const {compressionBackend, scriptProtocol} = this.plugin.settings;
+		// Legacy scripts decide format and quality themselves
+		if (compressionBackend === 'builtin' || scriptProtocol === 'v1') {
+			this.displayFormatSettings(containerEl, previewElement);
+		}
+
+		if (compressionBackend === 'script') {
+			this.displayScriptSettings(containerEl);
+			if (Platform.isDesktopApp) this.displayCompressionTest(containerEl);
+		}
+
+		// The plugin applies it to any output, also of legacy scripts
+		new Setting(containerEl)
+			.setName('Metadata')
+			.setDesc(
+				'EXIF and XMP metadata to keep, e.g. camera, date and GPS location. Images are rotated upright first. Location is only kept with "Keep all", which is warned about.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(METADATA_POLICIES)
+					.setValue(this.plugin.settings.metadataPolicy)
+					.onChange(async (value) => {
+						this.plugin.settings.metadataPolicy =
+							value as MetadataPolicy;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		this.displayPolicySettings(containerEl);
+	}
+
+	private displaySlugSettings(
+		containerElement: HTMLElement,
+		previewElement: HTMLElement,
+	) {
+		const {settings} = this.plugin;
+		const update = async () => {
+			await this.plugin.saveSettings();
+			this.renderTemplatePreview(previewElement);
+		};
+
+		new Setting(containerElement)
+			.setName('Slug separator')
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({'-': 'Dash (-)', _: 'Underscore (_)'})
+					.setValue(settings.slugSeparator)
+					.onChange(async (value) => {
+						settings.slugSeparator = value;
+						await update();
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Slug maximum length')
+			.setDesc('Longer slugs are cut at a word boundary. 0 for no limit.')
+			.addText((text) =>
+				text
+					.setValue(settings.slugMaxLength.toString())
+					.onChange(async (value) => {
+						settings.slugMaxLength = Math.max(
+							0,
+							Number(value) || 0,
+						);
+						await update();
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('CJK characters')
+			.setDesc(
+				'Chinese, Japanese and Korean characters are romanized, or kept as they are. Accented Latin, Cyrillic and Greek are always transliterated.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({romanize: 'Romanize', keep: 'Keep'})
+					.setValue(settings.slugCjkMode)
+					.onChange(async (value) => {
+						settings.slugCjkMode = value as CjkMode;
+						await update();
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Stopwords')
+			.setDesc('Comma separated words left out of slugs, e.g. a, an, the')
+			.addText((text) =>
+				text
+					.setValue(settings.slugStopwords)
+					.onChange(async (value) => {
+						settings.slugStopwords = value;
+						await update();
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Replacements')
+			.setDesc(
+				'One rule per line, applied before transliterating, e.g. & => and',
+			)
+			.addTextArea((text) =>
+				text
+					.setPlaceholder('& => and')
+					.setValue(settings.slugReplacements)
+					.onChange(async (value) => {
+						settings.slugReplacements = value;
+						await update();
+					}),
+			);
+	}
+
+	private displayHashSettings(
+		containerElement: HTMLElement,
+		previewElement: HTMLElement,
+	) {
+		const {settings} = this.plugin;
+
+		new Setting(containerElement)
+			.setName('Hash algorithm')
+			.setDesc('SHA algorithms use the built-in Web Crypto API.')
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(HASH_ALGORITHMS)
+					.setValue(settings.hashAlgorithm)
+					.onChange(async (value) => {
+						settings.hashAlgorithm = value as HashAlgorithm;
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Hash length')
+			.setDesc(
+				'Characters of a bare {hash}. Longer hashes make collisions less likely. {hash:N} sets its own length.',
+			)
+			.addText((text) =>
+				text
+					.setValue(settings.hashLength.toString())
+					.onChange(async (value) => {
+						settings.hashLength = Math.max(1, Number(value) || 8);
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Hash encoding')
+			.setDesc(
+				'Base36 and base64url fit more of the hash in fewer characters.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({
+						hex: 'Hex (0-9, a-f)',
+						base36: 'Base36 (0-9, a-z)',
+						base64url: 'Base64url (0-9, a-z, A-Z, - and _)',
+					})
+					.setValue(settings.hashEncoding)
+					.onChange(async (value) => {
+						settings.hashEncoding = value as HashEncoding;
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Hash source')
+			.setDesc(
+				'Hash the original image to keep names stable when images are compressed again with other settings.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({
+						output: 'Compressed image',
+						original: 'Original image',
+					})
+					.setValue(settings.hashSource)
+					.onChange(async (value) => {
+						settings.hashSource = value as HashSource;
+						await this.plugin.saveSettings();
+					}),
+			);
+	}
+
+	private displayPolicySettings(containerElement: HTMLElement) {
+		const numberSetting = (
+			name: string,
+			description: string,
+			key: keyof CompressionPolicy,
+		) =>
+			new Setting(containerElement)
+				.setName(name)
+				.setDesc(description)
+				.addText((text) =>
+					text
+						.setValue(this.plugin.settings[key].toString())
+						.onChange(async (value) => {
+							this.plugin.settings[key] = Math.max(
+								0,
+								Number(value) || 0,
+							);
+							await this.plugin.saveSettings();
+						}),
+				);
+
+		containerElement.createEl('p', {
+			cls: 'setting-item-description',
+			text: 'The original is always kept when the compressed image is not smaller. Renaming still happens.',
+		});
+
+		numberSetting(
+			'Skip compression below (KB)',
+			'Leave smaller images uncompressed. 0 to compress everything.',
+			'skipCompressionBelowKb',
+		);
+		numberSetting(
+			'Minimum savings (%)',
+			'Keep the original when compression saves less. 0 to keep any saving.',
+			'minSavingsPercent',
+		);
+		numberSetting(
+			'Minimum savings (KB)',
+			'Keep the original when compression saves less. 0 to keep any saving.',
+			'minSavingsKb',
+		);
+
+		// Legacy scripts only get the input path
+		if (
+			this.plugin.settings.compressionBackend === 'script' &&
+			this.plugin.settings.scriptProtocol === 'legacy'
+		) {
+			return;
+		}
+
+		numberSetting(
+			'Maximum width (px)',
+			'Downscale wider images before encoding, keeping the aspect ratio. 0 for no limit.',
+			'maxWidth',
+		);
+		numberSetting(
+			'Maximum height (px)',
+			'Downscale taller images before encoding, keeping the aspect ratio. 0 for no limit.',
+			'maxHeight',
+		);
+	}
+
+	private displayFormatSettings(
+		containerElement: HTMLElement,
+		previewElement: HTMLElement,
+	) {
+		const formats = getFormatOptions(
+			this.plugin.settings.compressionBackend,
+		);
+
+		new Setting(containerElement)
+			.setName('Default output format')
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(formats)
+					.setValue(this.plugin.settings.outputFormat)
+					.onChange(async (value) => {
+						this.plugin.settings.outputFormat =
+							value as OutputFormat;
+						await this.plugin.saveSettings();
+						this.renderTemplatePreview(previewElement);
+					}),
+			);
+
+		new Setting(containerElement)
+			.setName('Keep transparent PNGs as PNG')
+			.setDesc(
+				'PNGs with an alpha channel or transparency are compressed as PNG, whatever their format rule.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isTransparentPngKept)
+					.onChange(async (value) => {
+						this.plugin.settings.isTransparentPngKept = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		containerElement.createEl('p', {
+			cls: 'setting-item-description',
+			text: 'Format rules per allowed extension. Formats that cannot be encoded, like GIF, are only renamed when kept.',
+		});
+
+		for (const extension of parseExtensions(
+			this.plugin.settings.allowedExtensions,
+		)) {
+			new Setting(containerElement)
+				.setName(`.${extension}`)
+				.addDropdown((dropdown) =>
+					dropdown
+						.addOptions({
+							default: 'Default output format',
+							keep: 'Keep original format',
+							...formats,
+						})
+						.setValue(
+							this.plugin.settings.formatRules[extension] ??
+								'default',
+						)
+						.onChange(async (value) => {
+							this.plugin.settings.formatRules[extension] =
+								value as FormatRule;
+							await this.plugin.saveSettings();
+							this.renderTemplatePreview(previewElement);
+						}),
+				);
+		}
+
+		new Setting(containerElement).setName('Quality').addSlider((slider) =>
+			slider
+				.setLimits(1, 100, 1)
+				.setDynamicTooltip()
+				.setValue(this.plugin.settings.quality)
+				.onChange(async (value) => {
+					this.plugin.settings.quality = value;
+					await this.plugin.saveSettings();
+				}),
+		);
+	}
+
+	private displayScriptSettings(containerElement: HTMLElement) {
+		// Diagnostics run the runtime, which only exists on desktop
+		const {isDesktopApp} = Platform;
+
+		const runtimeDescription = createFragment();
+		const runtimeCheck = runtimeDescription.createDiv();
+		const runtimeSetting = new Setting(containerElement)
+			.setName('Absolute path to runtime')
+			.setDesc(runtimeDescription)
+			.addText((text) =>
+				text
+					.setPlaceholder('Enter value')
+					.setValue(this.plugin.settings.runtimeAbsolutePath)
+					.onChange(async (value) => {
+						this.plugin.settings.runtimeAbsolutePath = value;
+						if (isDesktopApp) {
+							this.renderPathCheck(
+								runtimeCheck,
+								checkRuntimePath(value),
+							);
+						}
+
+						await this.plugin.saveSettings();
+					}),
+			);
+		const detectedRuntimes = containerElement.createDiv();
+		if (isDesktopApp) {
+			runtimeSetting.addButton((button) =>
+				button.setButtonText('Detect').onClick(async () => {
+					await this.displayDetectedRuntimes(detectedRuntimes);
+				}),
+			);
+			this.renderPathCheck(
+				runtimeCheck,
+				checkRuntimePath(this.plugin.settings.runtimeAbsolutePath),
+			);
+		}
+
+		const scriptDescription = createFragment();
+		const scriptCheck = scriptDescription.createDiv();
+		new Setting(containerElement)
+			.setName('Absolute path to compression script')
+			.setDesc(scriptDescription)
+			.addTextArea((text) =>
+				text
+					.setPlaceholder('Enter value')
+					.setValue(
+						this.plugin.settings.compressionScriptAbsolutePath,
+					)
+					.onChange(async (value) => {
+						this.plugin.settings.compressionScriptAbsolutePath =
+							value;
+						if (isDesktopApp) {
+							this.renderPathCheck(
+								scriptCheck,
+								checkScriptPath(value),
+							);
+						}
+
+						await this.plugin.saveSettings();
+					}),
+			);
+		if (isDesktopApp) {
+			this.renderPathCheck(
+				scriptCheck,
+				checkScriptPath(
+					this.plugin.settings.compressionScriptAbsolutePath,
+				),
+			);
+		}
+
+		new Setting(containerElement)
+			.setName('Script protocol')
+			.setDesc(
+				'Version 1 passes the output path, format, quality and extra args, and reads a JSON result. Legacy only passes the input path, and expects a WebP <name>.temp file next to it.',
+			)
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions({v1: 'Version 1', legacy: 'Legacy'})
+					.setValue(this.plugin.settings.scriptProtocol)
+					.onChange(async (value) => {
+						this.plugin.settings.scriptProtocol =
+							value as PluginSettings['scriptProtocol'];
+						await this.plugin.saveSettings();
+						this.display();
+					}),
+			);
+
+		if (this.plugin.settings.scriptProtocol === 'legacy') return;
+
+		new Setting(containerElement)
+			.setName('Extra arguments')
+			.setDesc(
+				'Passed to the script after the other arguments, e.g. --effort 6 --lossless',
+			)
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.extraArgs)
+					.onChange(async (value) => {
+						this.plugin.settings.extraArgs = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+
+		const timeoutDescription = createFragment();
+		timeoutDescription.appendText(
+			'Stop the script if it runs longer than this.',
+		);
+		const timeoutCheck = timeoutDescription.createDiv();
+		new Setting(containerElement)
+			.setName('Timeout (seconds)')
+			.setDesc(timeoutDescription)
+			.addText((text) =>
+				text
+					.setValue(this.plugin.settings.timeoutSeconds.toString())
+					.onChange(async (value) => {
+						timeoutCheck.empty();
+						const seconds = Number(value.trim());
+						// Keep the last valid timeout until this one is
+						if (!Number.isInteger(seconds) || seconds < 1) {
+							timeoutCheck.createSpan({
+								cls: 'mod-warning',
+								text: `✗ Enter a whole number of seconds above 0, using ${this.plugin.settings.timeoutSeconds} until then`,
+							});
+							return;
+						}
+
+						this.plugin.settings.timeoutSeconds = seconds;
+						await this.plugin.saveSettings();
+					}),
+			);
+	}
+
+	/** Show the result of a path check, unless a newer one was started */
+	private renderPathCheck(element: HTMLElement, check: Promise<PathCheck>) {
+		const checkId = String(++this.pathCheckCount);
+		element.dataset.checkId = checkId;
+		void check.then(({isValid, message}) => {
+			if (element.dataset.checkId !== checkId) return;
+
+			element.empty();
+			element.createSpan({
+				cls: isValid ? 'mod-success' : 'mod-warning',
+				text: `${isValid ? '✓' : '✗'} ${message}`,
+			});
+		});
+	}
+
+	private async displayDetectedRuntimes(containerElement: HTMLElement) {
+		containerElement.empty();
+		containerElement.createEl('p', {
+			cls: 'setting-item-description',
+			text: 'Looking for node, bun and deno...',
+		});
+		const runtimes = await detectRuntimes();
+		containerElement.empty();
+
+		if (runtimes.length === 0) {
+			containerElement.createEl('p', {
+				cls: 'setting-item-description mod-warning',
+				text: 'No node, bun or deno found. Run "which node" in a terminal, and paste the path it prints.',
+			});
+			return;
+		}
+
+		for (const runtime of runtimes) {
+			new Setting(containerElement)
+				.setName(`${runtime.name} ${runtime.version}`)
+				.setDesc(runtime.path)
+				.addButton((button) =>
+					button.setButtonText('Use').onClick(async () => {
+						this.plugin.settings.runtimeAbsolutePath = runtime.path;
+						await this.plugin.saveSettings();
+						this.display();
+					}),
+				);
+		}
+	}
+
+	private displayCompressionTest(containerElement: HTMLElement) {
+		const resultElement = createDiv();
+		new Setting(containerElement)
+			.setName('Test compression')
+			.setDesc(
+				'Run the script on a sample image in a temporary folder, with the current settings.',
+			)
+			.addButton((button) =>
+				button.setButtonText('Run test').onClick(async () => {
+					button.setDisabled(true);
+					resultElement.empty();
+					resultElement.createEl('p', {text: 'Running...'});
+					let result: CompressionTestResult;
+					try {
+						result = await testCompressionScript(
+							this.plugin.settings,
+						);
+					} catch (error) {
+						// E.g. the temporary folder could not be written
+						resultElement.empty();
+						resultElement.createEl('p', {
+							cls: 'mod-warning',
+							text: `✗ Could not run the test: ${error instanceof Error ? error.message : String(error)}`,
+						});
+						return;
+					} finally {
+						button.setDisabled(false);
+					}
+
+					resultElement.empty();
+					const list = resultElement.createEl('ul');
+					const isPassed =
+						result.exitCode === 0 &&
+						!result.error &&
+						result.outputSize !== undefined;
+					list.createEl('li', {
+						cls: isPassed ? 'mod-success' : 'mod-warning',
+						text: isPassed
+							? '✓ Passed'
+							: `✗ ${result.error ?? 'Failed'}`,
+					});
+					list.createEl('li', {
+						text: `Exit code: ${result.exitCode ?? 'none, the script did not run to the end'}`,
+					});
+					list.createEl('li', {
+						text:
+							result.outputSize === undefined
+								? `Output: ${result.outputName} did not appear`
+								: `Output: ${result.outputName}, ${formatSize(result.outputSize)} from ${formatSize(result.inputSize)}`,
+					});
+					if (result.stderr) {
+						list.createEl('li', {text: 'Stderr:'});
+						resultElement.createEl('pre', {text: result.stderr});
+					}
+				}),
+			);
+		containerElement.append(resultElement);
+	}
+
+	private displayVariantSettings(containerElement: HTMLElement) {
+		containerElement.createEl('h3', {text: 'Responsive variants'});
+
+		new Setting(containerElement)
+			.setName('Create responsive variants')
+			.setDesc(
+				'Resize optimized images to each width, next to the image, e.g. my-image-1a2b3c4d-640w.webp. Uses the built-in backend. Images that had variants keep them up to date.',
+			)
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.isVariantsEnabled)
+					.onChange(async (value) => {
+						this.plugin.settings.isVariantsEnabled = value;
+						await this.plugin.saveSettings();
+						this.display();
+					}),
+			);
+
+		if (!this.plugin.settings.isVariantsEnabled) return;
+
+		new Setting(containerElement)
+			.setName('Variant widths')
+			.setDesc(
+				'Comma separated, in pixels. Widths larger than the image are left out.',
+			)
+			.addText((text) =>
+				text
+					.setPlaceholder(DEFAULT_SETTINGS.variantWidths)
+					.setValue(this.plugin.settings.variantWidths)
+					.onChange(async (value) => {
+						this.plugin.settings.variantWidths = value;
+						await this.plugin.saveSettings();
+					}),
+			);
+	}
+
+	private displayDestinationSettings(containerElement: HTMLElement) {
+		containerElement.createEl('h3', {text: 'Destination'});
+
+		const description = createFragment();
+		description.createDiv({
+			text: 'One "condition => folder" rule per line, the first match wins. Images no rule matches stay in their folder.',
+		});
+		description.createDiv({
+			text: 'Conditions: *, tag:blog, property:publish, property:status=public or folder:Drafts/**, about the image folder. Tags and properties are read from the note embedding the image.',
+		});
+		description.createDiv({
+			text: 'Folders may use {noteFolder}, {noteName}, {folder} and {property:key}. Rules whose variables have no value are passed over.',
+		});
+		const warningElement = description.createDiv();
+		const renderWarning = () => {
+			warningElement.empty();
+			const invalid = findInvalidDestinationRules(
+				this.plugin.settings.destinationRules,
+			);
+			if (invalid.length > 0) {
+				warningElement.createEl('strong', {
+					text: `Invalid rules: ${invalid.join(', ')}`,
+				});
+			}
+		};
+
+		new Setting(containerElement)
+			.setName('Destination rules')
+			.setDesc(description)
+			.addTextArea((text) =>
+				text
+					.setPlaceholder(
+						'tag:blog => Blog/images\n* => {noteFolder}/assets',
+					)
+					.setValue(this.plugin.settings.destinationRules)
+					.onChange(async (value) => {
+						this.plugin.settings.destinationRules = value;
+						renderWarning();
+						await this.plugin.saveSettings();
+					}),
+			);
+		renderWarning();
+	}
+
+	/** Show the name of a sample image, unless a newer preview was started */
+	private renderTemplatePreview(previewElement: HTMLElement) {
+		const {settings} = this.plugin;
+		const previewId = String(++this.previewCount);
+		previewElement.dataset.previewId = previewId;
+
+		const unknown = findUnknownVariables(settings.filenameTemplate);
+		if (unknown.length > 0) {
+			previewElement.empty();
+			previewElement.createEl('strong', {
+				text: `Unknown variables: ${unknown.join(', ')}`,
+			});
+			return;
+		}
+
+		// A real hash, so the algorithm and encoding show in the preview
+		const sample = new TextEncoder().encode('My Screenshot');
+		void hashForName(sample.buffer, settings).then((hash) => {
+			if (previewElement.dataset.previewId !== previewId) return;
+
+			const basename = renderTemplate(
+				resolveTemplate(settings.filenameTemplate, settings),
+				{
+					slug: slugify('My Screenshot', settings),
+					originalName: 'My Screenshot',
+					hash,
+					hashLength: settings.hashLength,
+					date: new Date(),
+					noteName: 'My Note',
+					folder: 'attachments',
+					width: 1280,
+					height: 720,
+					ext: 'png',
+				},
+			);
+			const format = settings.isCompressEnabled
+				? resolveOutputFormat('png', settings)
+				: undefined;
+			const extension = format ? formatToExtension(format) : 'png';
+			previewElement.empty();
+			previewElement.createEl('span', {text: 'Preview: '});
+			previewElement.createEl('code', {
+				text: `${basename}.${extension}`,
+			});
+		});
+	}
+}
@@ -0,0 +1,67 @@
+import {describe, expect, it} from 'vitest';
+import {parseReplacements, type SlugSettings, slugify} from './slug.js';
+
+const settings: SlugSettings = {
+	slugSeparator: '-',
+	slugMaxLength: 0,
+	slugStopwords: '',
+	slugReplacements: '',
+	slugCjkMode: 'romanize',
+};
+
+describe('slugify', () => {
+	it('lowercases and joins the words', () => {
+		expect(slugify('My Screenshot (2)', settings)).toBe('my-screenshot-2');
+	});
+
+	it('transliterates accents and other scripts', () => {
+		expect(slugify('Crème Brûlée', settings)).toBe('creme-brulee');
+		expect(slugify('Привет мир', settings)).toBe('privet-mir');
+	});
+
+	it('uses the configured separator', () => {
+		expect(
+			slugify('My Screenshot', {...settings, slugSeparator: '_'}),
+		).toBe('my_screenshot');
+	});
+
+	it('drops stopwords, unless nothing else is left', () => {
+		const withStopwords = {...settings, slugStopwords: 'a, The'};
+		expect(slugify('The cat on a mat', withStopwords)).toBe('cat-on-mat');
+		expect(slugify('The A', withStopwords)).toBe('the-a');
+	});
+
+	it('applies replacements before transliterating', () => {
+		expect(
+			slugify('C++ & C#', {
+				...settings,
+				slugReplacements: 'C++ => cpp\n& => and\nC# => csharp',
+			}),
+		).toBe('cpp-and-csharp');
+	});
+
+	it('cuts long slugs at a word boundary', () => {
+		const short = {...settings, slugMaxLength: 12};
+		expect(slugify('quick brown fox', short)).toBe('quick-brown');
+		expect(slugify('abcdefghijklmnop', short)).toBe('abcdefghijkl');
+	});
+
+	it('keeps CJK characters when asked to', () => {
+		expect(slugify('東京 Tower', {...settings, slugCjkMode: 'keep'})).toBe(
+			'東京-tower',
+		);
+	});
+
+	it('is empty for a name of only symbols', () => {
+		expect(slugify('!!! ???', settings)).toBe('');
+	});
+});
+
+describe('parseReplacements', () => {
+	it('reads one trimmed `from => to` rule per line', () => {
+		expect(parseReplacements(' & => and \nbroken\n => x\nä=>ae')).toEqual([
+			['&', 'and'],
+			['ä', 'ae'],
+		]);
+	});
+});
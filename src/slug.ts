@@ -0,0 +1,81 @@
+import {transliterate} from 'transliteration';
+import {parseList} from './rules.js';
+
+// Romanize CJK scripts, or keep them as they are
+export type CjkMode = 'romanize' | 'keep';
+
+export type SlugSettings = {
+	slugSeparator: string;
+	// 0 for no limit
+	slugMaxLength: number;
+	// Comma separated words to drop, e.g. `a, an, the`
+	slugStopwords: string;
+	// One `from => to` rule per line, applied before transliterating
+	slugReplacements: string;
+	slugCjkMode: CjkMode;
+};
+
+const CJK_CHARACTERS = String.raw`\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー`;
+
+const CJK_RUN_REGEX = new RegExp(`([${CJK_CHARACTERS}]+)`, 'u');
+
+/** Regex source for one word of a slug, for recognising slugs in names */
+export function getSlugWordSource(settings: SlugSettings): string {
+	return settings.slugCjkMode === 'keep'
+		? String.raw`[a-z\d${CJK_CHARACTERS}]+`
+		: String.raw`[a-z\d]+`;
+}
+
+export function parseReplacements(value: string): Array<[string, string]> {
+	return value
+		.split('\n')
+		.map((line) => line.split('=>'))
+		.filter((parts) => parts.length === 2 && parts[0].trim())
+		.map(([from, to]) => [from.trim(), to.trim()]);
+}
+
+function romanize(text: string, mode: CjkMode): string {
+	if (mode === 'romanize') return transliterate(text);
+
+	// Odd parts are CJK runs, which are kept
+	return text
+		.split(CJK_RUN_REGEX)
+		.map((part, index) => (index % 2 === 1 ? part : transliterate(part)))
+		.join('');
+}
+
+/** Cut to `maxLength`, at a word boundary when there is one */
+function truncate(slug: string, maxLength: number, separator: string): string {
+	if (maxLength <= 0 || slug.length <= maxLength) return slug;
+
+	const cut = slug.slice(0, maxLength);
+	const boundary = separator ? cut.lastIndexOf(separator) : -1;
+	return boundary > 0 && slug[maxLength] !== separator
+		? cut.slice(0, boundary)
+		: cut;
+}
+
+/**
+ * Lowercase, transliterated, separator-joined name. Empty when nothing is
+ * left, e.g. for a name of only symbols.
+ */
+export function slugify(name: string, settings: SlugSettings): string {
+	const separator = settings.slugSeparator;
+	let text = name.normalize('NFC');
+	for (const [from, to] of parseReplacements(settings.slugReplacements)) {
+		text = text.replaceAll(from, to);
+	}
+
+	const wordRegex = new RegExp(getSlugWordSource(settings), 'gu');
+	const words =
+		romanize(text, settings.slugCjkMode).toLowerCase().match(wordRegex) ??
+		[];
+	const stopwords = new Set(
+		parseList(settings.slugStopwords).map((word) => word.toLowerCase()),
+	);
+	const kept = words.filter((word) => !stopwords.has(word));
+
+	// Keep the stopwords rather than ending up with nothing
+	const slug = (kept.length > 0 ? kept : words).join(separator);
+	return truncate(slug, settings.slugMaxLength, separator);
+}
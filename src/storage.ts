@@ -0,0 +1,35 @@
+import type {App} from 'obsidian';
+
+/** JSON file next to the plugin's data.json, for data too large for settings */
+export class JsonFile<T> {
+	// Writes are chained, so concurrent jobs don't overwrite each other
+	private writing: Promise<void> = Promise.resolve();
+
+	constructor(
+		private readonly app: App,
+		private readonly filePath: string,
+	) {}
+
+	async read(): Promise<T | undefined> {
+		const {adapter} = this.app.vault;
+		if (!(await adapter.exists(this.filePath))) return undefined;
+
+		try {
+			return JSON.parse(await adapter.read(this.filePath)) as T;
+		} catch (error) {
+			console.error(`Error reading ${this.filePath}:`, error);
+			return undefined;
+		}
+	}
+
+	async write(data: T): Promise<void> {
+		const text = JSON.stringify(data, null, '\t');
+		// A failed write is the caller's to handle, the next one still runs
+		this.writing = this.writing
+			.catch(() => undefined)
+			.then(async () =>
+				this.app.vault.adapter.write(this.filePath, text),
+			);
+		await this.writing;
+	}
+}
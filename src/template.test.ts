@@ -0,0 +1,228 @@
+import type {TFile} from 'obsidian';
+import {describe, expect, it} from 'vitest';
+import {TFile as MockFile} from './__mocks__/obsidian.js';
+import {
+	findUnknownVariables,
+	formatDate,
+	isOptimized,
+	refreshHashes,
+	renderTemplate,
+	resolveTemplate,
+	sanitizeBasename,
+	type TemplateContext,
+	templateToRegex,
+} from './template.js';
+
+const settings = {
+	isCompressEnabled: true,
+	isSlugifyEnabled: true,
+	isHashEnabled: true,
+	outputFormat: 'webp' as const,
+	formatRules: {},
+	isTransparentPngKept: false,
+	hashAlgorithm: 'md5' as const,
+	hashLength: 8,
+	hashEncoding: 'hex' as const,
+	hashSource: 'output' as const,
+	slugSeparator: '-',
+	slugMaxLength: 0,
+	slugStopwords: '',
+	slugReplacements: '',
+	slugCjkMode: 'romanize' as const,
+};
+
+const context: TemplateContext = {
+	slug: 'my-screenshot',
+	originalName: 'My Screenshot',
+	hash: '0123456789abcdef0123456789abcdef',
+	hashLength: 8,
+	date: new Date(2024, 0, 5, 9, 3, 7),
+	noteName: 'My Note',
+	folder: 'attachments',
+	width: 1280,
+	height: 720,
+	ext: 'png',
+};
+
+function createFile(path: string): TFile {
+	return new MockFile(path) as unknown as TFile;
+}
+
+describe('resolveTemplate', () => {
+	it('falls back to the default template', () => {
+		expect(resolveTemplate('  ', settings)).toBe('{slug}-{hash}');
+	});
+
+	it('drops hash variables with their separator when hashing is off', () => {
+		expect(
+			resolveTemplate('{slug}_{hash:6}-{width}', {
+				...settings,
+				isHashEnabled: false,
+			}),
+		).toBe('{slug}-{width}');
+	});
+
+	it('uses the original name when slugifying is off', () => {
+		expect(
+			resolveTemplate('{slug}-{hash}', {
+				...settings,
+				isSlugifyEnabled: false,
+			}),
+		).toBe('{originalName}-{hash}');
+	});
+});
+
+describe('findUnknownVariables', () => {
+	it('lists variables the template engine does not know', () => {
+		expect(findUnknownVariables('{slug}-{nope}-{date:YYYY}-{x:1}')).toEqual(
+			['nope', 'x'],
+		);
+	});
+});
+
+describe('renderTemplate', () => {
+	it('renders every variable', () => {
+		expect(
+			renderTemplate(
+				'{noteName} {folder} {originalName} {width}x{height} {ext}',
+				context,
+			),
+		).toBe('My Note attachments My Screenshot 1280x720 png');
+	});
+
+	it('cuts the hash to its configured or own length', () => {
+		expect(renderTemplate('{slug}-{hash}', context)).toBe(
+			'my-screenshot-01234567',
+		);
+		expect(renderTemplate('{hash:4}', context)).toBe('0123');
+	});
+
+	it('formats the date, by default as YYYY-MM-DD', () => {
+		expect(renderTemplate('{date}', context)).toBe('2024-01-05');
+		expect(renderTemplate('{date:YYYYMMDD-HHmm}', context)).toBe(
+			'20240105-0903',
+		);
+	});
+
+	it('leaves out the hash when there is none', () => {
+		expect(
+			renderTemplate('{slug}-{hash}', {...context, hash: undefined}),
+		).toBe('my-screenshot');
+	});
+
+	it('keeps hash characters that sanitizing would trim', () => {
+		expect(
+			renderTemplate('{slug}-{hash}', {...context, hash: 'ab_cd-ef-'}),
+		).toBe('my-screenshot-ab_cd-ef');
+		expect(renderTemplate('{hash:3}', {...context, hash: 'a_-b'})).toBe(
+			'a_-',
+		);
+	});
+
+	it('sanitizes the rendered name', () => {
+		expect(
+			renderTemplate('{noteName}', {...context, noteName: 'a/b: c#1'}),
+		).toBe('a-b- c-1');
+	});
+});
+
+describe('sanitizeBasename', () => {
+	it('replaces characters Obsidian does not allow in names or links', () => {
+		expect(sanitizeBasename('a\\b/c:d*e?f"g<h>i|j#k^l[m]n')).toBe(
+			'a-b-c-d-e-f-g-h-i-j-k-l-m-n',
+		);
+	});
+
+	it('collapses dashes and trims separators', () => {
+		expect(sanitizeBasename('--a---b__ ')).toBe('a-b');
+	});
+});
+
+describe('templateToRegex', () => {
+	it('recognises names the template produced, with a counter', () => {
+		const regex = templateToRegex('{slug}-{hash}', settings)!;
+		expect(regex.test('my-screenshot-0123abcd')).toBe(true);
+		expect(regex.test('my-screenshot-0123abcd-2')).toBe(true);
+		expect(regex.test('my-screenshot-0123abc')).toBe(false);
+	});
+
+	it('gives up on templates without a distinctive variable', () => {
+		expect(templateToRegex('{slug}', settings)).toBeUndefined();
+		expect(
+			templateToRegex('{originalName}-{date}', settings),
+		).toBeUndefined();
+	});
+});
+
+describe('refreshHashes', () => {
+	it('puts the new hash in a stale name', () => {
+		expect(
+			refreshHashes(
+				'my-screenshot-0123abcd-2',
+				'{slug}-{hash}',
+				'ffffffff0000',
+				settings,
+			),
+		).toBe('my-screenshot-ffffffff-2');
+	});
+
+	it('is undefined when the hash matches or the name is not the template’s', () => {
+		expect(
+			refreshHashes(
+				'my-screenshot-0123abcd',
+				'{slug}-{hash}',
+				'0123abcd9999',
+				settings,
+			),
+		).toBeUndefined();
+		expect(
+			refreshHashes(
+				'My Screenshot',
+				'{slug}-{hash}',
+				'ffffffff',
+				settings,
+			),
+		).toBeUndefined();
+	});
+});
+
+describe('isOptimized', () => {
+	it('matches names the template produces in the output format', () => {
+		expect(
+			isOptimized(
+				createFile('images/my-screenshot-0123abcd.webp'),
+				'{slug}-{hash}',
+				settings,
+			),
+		).toBe(true);
+	});
+
+	it('does not match a file that would still be converted', () => {
+		expect(
+			isOptimized(
+				createFile('images/my-screenshot-0123abcd.jpg'),
+				'{slug}-{hash}',
+				settings,
+			),
+		).toBe(false);
+	});
+
+	it('does not take a bare lowercase name for a slug', () => {
+		expect(
+			isOptimized(createFile('images/screenshot.webp'), '{slug}-{hash}', {
+				...settings,
+				isHashEnabled: false,
+			}),
+		).toBe(false);
+	});
+});
+
+describe('formatDate', () => {
+	it('replaces the moment.js tokens', () => {
+		const date = new Date(2024, 10, 9, 14, 5, 6);
+		expect(formatDate(date, 'YY-M-D H:m:s')).toBe('24-11-9 14:5:6');
+		expect(formatDate(date, 'YYYY-MM-DD HH:mm:ss')).toBe(
+			'2024-11-09 14:05:06',
+		);
+	});
+});
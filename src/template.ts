@@ -0,0 +1,323 @@
+import type {TFile} from 'obsidian';
+import {
+	extensionToFormat,
+	type FormatSettings,
+	resolveOutputFormat,
+} from './compression.js';
+import {getDigestLength, HASH_CHARACTERS, type HashSettings} from './hash.js';
+import {getSlugWordSource, type SlugSettings} from './slug.js';
+
+export const DEFAULT_TEMPLATE = '{slug}-{hash}';
+
+// Hashes are put in after sanitizing, base64url ones may end with `-` or `_`
+const HASH_PLACEHOLDER_REGEX = /\uE000(\d+)\uE000/g;
+
+const VARIABLE_REGEX = /{(\w+)(?::([^}]*))?}/g;
+
+const KNOWN_VARIABLES = new Set([
+	'slug',
+	'originalName',
+	'hash',
+	'date',
+	'noteName',
+	'folder',
+	'width',
+	'height',
+	'ext',
+]);
+
+export type TemplateSteps = {
+	isCompressEnabled: boolean;
+	isSlugifyEnabled: boolean;
+	isHashEnabled: boolean;
+};
+
+export type TemplateContext = {
+	slug: string;
+	originalName: string;
+	// Full encoded digest, sliced by `{hash}` and `{hash:N}`
+	hash?: string;
+	// Length of a bare `{hash}`
+	hashLength: number;
+	date: Date;
+	noteName: string;
+	folder: string;
+	width?: number;
+	height?: number;
+	ext: string;
+};
+
+/** Adjust the template to the enabled pipeline steps */
+export function resolveTemplate(
+	template: string,
+	steps: TemplateSteps,
+): string {
+	let resolved = template.trim() || DEFAULT_TEMPLATE;
+
+	// Drop hash variables, together with the separator in front of them
+	if (!steps.isHashEnabled) {
+		resolved = resolved.replaceAll(/[-_.\s]?{hash(?::\d*)?}/g, '');
+	}
+
+	if (!steps.isSlugifyEnabled) {
+		resolved = resolved.replaceAll('{slug}', '{originalName}');
+	}
+
+	return resolved.replaceAll(/^[-_.\s]+|[-_.\s]+$/g, '');
+}
+
+export function findUnknownVariables(template: string): string[] {
+	return [...template.matchAll(VARIABLE_REGEX)]
+		.map(([, name]) => name)
+		.filter((name) => !KNOWN_VARIABLES.has(name));
+}
+
+/** Render the output basename, without extension or collision counter */
+export function renderTemplate(
+	template: string,
+	context: TemplateContext,
+): string {
+	const hashes: string[] = [];
+	const rendered = template.replaceAll(
+		VARIABLE_REGEX,
+		(match, name: string, argument?: string) => {
+			switch (name) {
+				case 'slug': {
+					return context.slug;
+				}
+
+				case 'originalName': {
+					return context.originalName;
+				}
+
+				case 'hash': {
+					const length = Number(argument) || context.hashLength;
+					const hash = context.hash?.slice(0, length);
+					if (!hash) return '';
+
+					hashes.push(hash);
+					return `\uE000${hashes.length - 1}\uE000`;
+				}
+
+				case 'date': {
+					return formatDate(context.date, argument ?? 'YYYY-MM-DD');
+				}
+
+				case 'noteName': {
+					return context.noteName;
+				}
+
+				case 'folder': {
+					return context.folder;
+				}
+
+				case 'width': {
+					return context.width?.toString() ?? '';
+				}
+
+				case 'height': {
+					return context.height?.toString() ?? '';
+				}
+
+				case 'ext': {
+					return context.ext;
+				}
+
+				default: {
+					return match;
+				}
+			}
+		},
+	);
+
+	return sanitizeBasename(rendered).replaceAll(
+		HASH_PLACEHOLDER_REGEX,
+		(_, index: string) => hashes[Number(index)],
+	);
+}
+
+/** Make a basename safe for Obsidian filenames and links */
+export function sanitizeBasename(name: string): string {
+	return (
+		name
+			// Characters Obsidian does not allow in filenames or links
+			.replaceAll(/[\\/:*?"<>|#^[\]]/g, '-')
+			.replaceAll(/-{2,}/g, '-')
+			.replaceAll(/^[-_.\s]+|[-_.\s]+$/g, '')
+	);
+}
+
+type TemplatePattern = {
+	// Every part of the name is a group, so a match joins back into the name
+	regex: RegExp;
+	// Group numbers of the hash variables
+	hashGroups: number[];
+};
+
+/** How hashes and slugs look, to recognise them in names */
+export type NameSettings = HashSettings & SlugSettings;
+
+function compileTemplate(
+	template: string,
+	settings: NameSettings,
+): TemplatePattern | undefined {
+	let isDistinctive = false;
+	const parts: string[] = [];
+	const hashGroups: number[] = [];
+	let lastIndex = 0;
+
+	for (const match of template.matchAll(VARIABLE_REGEX)) {
+		const [token, name, argument] = match;
+		parts.push(escapeRegex(template.slice(lastIndex, match.index)));
+		lastIndex = match.index + token.length;
+
+		switch (name) {
+			case 'slug': {
+				// Any lowercase name looks like a slug, so it proves nothing alone
+				const word = getSlugWordSource(settings);
+				parts.push(
+					`${word}(?:${escapeRegex(settings.slugSeparator)}${word})*`,
+				);
+				break;
+			}
+
+			case 'hash': {
+				isDistinctive = true;
+				// Longer than the digest renders the full digest
+				const length = Math.min(
+					Number(argument) || settings.hashLength,
+					getDigestLength(settings),
+				);
+				hashGroups.push(parts.length + 1);
+				parts.push(
+					`${HASH_CHARACTERS[settings.hashEncoding]}{${length}}`,
+				);
+				break;
+			}
+
+			case 'width':
+			case 'height': {
+				isDistinctive = true;
+				parts.push('\\d+');
+				break;
+			}
+
+			case 'ext': {
+				parts.push('[a-z\\d]+');
+				break;
+			}
+
+			default: {
+				parts.push('.+?');
+			}
+		}
+	}
+
+	if (!isDistinctive) return undefined;
+
+	parts.push(escapeRegex(template.slice(lastIndex)));
+	const source = parts.map((part) => `(${part})`).join('');
+	// Optional collision counter
+	return {
+		regex: new RegExp(`^${source}((?:-\\d+)?)$`, 'iu'),
+		hashGroups,
+	};
+}
+
+/**
+ * Regex matching filenames the template can produce, or undefined when the
+ * template has no variable distinctive enough to recognise its output
+ */
+export function templateToRegex(
+	template: string,
+	settings: NameSettings,
+): RegExp | undefined {
+	return compileTemplate(template, settings)?.regex;
+}
+
+/**
+ * The basename with its hashes replaced by the current content `hash`, or
+ * undefined when it does not come from the template or its hashes match
+ */
+export function refreshHashes(
+	basename: string,
+	template: string,
+	hash: string,
+	settings: NameSettings,
+): string | undefined {
+	const pattern = compileTemplate(template, settings);
+	const match = pattern?.regex.exec(basename);
+	if (!pattern || !match) return undefined;
+
+	const parts = match.slice(1);
+	let isStale = false;
+	for (const group of pattern.hashGroups) {
+		const current = hash.slice(0, parts[group - 1].length);
+		if (parts[group - 1] !== current) {
+			parts[group - 1] = current;
+			isStale = true;
+		}
+	}
+
+	return isStale ? parts.join('') : undefined;
+}
+
+/** Whether the filename already looks like the output of the template */
+export function isOptimized(
+	file: TFile,
+	template: string,
+	settings: TemplateSteps & FormatSettings & NameSettings,
+): boolean {
+	const regex = templateToRegex(
+		resolveTemplate(template, settings),
+		settings,
+	);
+	// Compression alone keeps the name, so there is nothing to detect
+	if (!regex) return false;
+	if (settings.isCompressEnabled && !isOutputFormat(file, settings)) {
+		return false;
+	}
+
+	return regex.test(file.basename);
+}
+
+/** Whether the format rules would leave the file's format as it is */
+function isOutputFormat(file: TFile, settings: FormatSettings): boolean {
+	const format = extensionToFormat(file.extension);
+	// Formats that cannot be encoded are never converted
+	if (!format) return true;
+
+	// Without reading the file, a PNG may be a kept transparent one
+	return (
+		resolveOutputFormat(file.extension, settings) === format ||
+		resolveOutputFormat(file.extension, settings, true) === format
+	);
+}
+
+/** Format a date with the common moment.js tokens, e.g. `YYYY-MM-DD` */
+export function formatDate(date: Date, format: string): string {
+	const pad = (value: number) => value.toString().padStart(2, '0');
+	const tokens: Record<string, string> = {
+		YYYY: date.getFullYear().toString(),
+		YY: pad(date.getFullYear() % 100),
+		MM: pad(date.getMonth() + 1),
+		M: (date.getMonth() + 1).toString(),
+		DD: pad(date.getDate()),
+		D: date.getDate().toString(),
+		HH: pad(date.getHours()),
+		H: date.getHours().toString(),
+		mm: pad(date.getMinutes()),
+		m: date.getMinutes().toString(),
+		ss: pad(date.getSeconds()),
+		s: date.getSeconds().toString(),
+	};
+
+	return format.replaceAll(
+		/YYYY|YY|MM|M|DD|D|HH|H|mm|m|ss|s/g,
+		(token) => tokens[token],
+	);
+}
+
+function escapeRegex(text: string): string {
+	return text.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
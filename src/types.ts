@@ -0,0 +1,94 @@
+import type {TFile} from 'obsidian';
+import type {CompressionBackend, OutputFormat} from './compression.js';
+
+export type ProcessStatus = 'processed' | 'skipped' | 'failed';
+
+export type ProcessResult = {
+	status: ProcessStatus;
+	// Why the file was skipped or failed, for reporting
+	reason?: string;
+	// Failure may go away on its own, e.g. a file still being written
+	isRetryable?: boolean;
+	// Set when processed, for other plugins
+	oldPath?: string;
+	// For a duplicate, the existing image its links now point at
+	newPath?: string;
+	hash?: string;
+	sizeBefore?: number;
+	sizeAfter?: number;
+};
+
+export type ProcessOptions = {
+	// Suppress per-file notices, e.g. during batch runs
+	quiet?: boolean;
+	// Existing files already have settled metadata, no need to wait
+	skipMetadataWait?: boolean;
+	// Review the plan before anything is written, e.g. in a preview modal
+	confirm?: (plan: ProcessPlan) => Promise<PlanDecision>;
+	// Settings for this one file, e.g. chosen in the options prompt
+	overrides?: ProcessOverrides;
+	// Only work out the result, e.g. for `planName`. Other plugins are not
+	// asked, the file is never processed
+	isDryRun?: boolean;
+};
+
+export type ProcessOverrides = {
+	isCompressEnabled?: boolean;
+	isSlugifyEnabled?: boolean;
+	isHashEnabled?: boolean;
+	outputFormat?: OutputFormat;
+	quality?: number;
+	// Used instead of the filename template
+	basename?: string;
+};
+
+/** What processing a file would do, before anything is renamed or deleted */
+export type ProcessPlan = {
+	file: TFile;
+	// Compressed `.temp` output, deleted again when the plan is skipped
+	compressedFile?: TFile;
+	basename: string;
+	extension: string;
+	// Chosen by the destination rules, created when missing
+	folderPath: string;
+	newPath: string;
+	sizeBefore: number;
+	sizeAfter: number;
+	// Of the output, when known
+	width?: number;
+	height?: number;
+	// Unset when the image is only renamed
+	backend?: CompressionBackend;
+	// Notes whose links will be rewritten
+	linkedNotes: string[];
+	// Policy decisions, e.g. keeping the original when compression did not pay
+	decisions: string[];
+	// MD5 of the output, for the deduplication index
+	hash: string;
+	// Edited since it was named, so its variants are outdated
+	isEdited: boolean;
+	// Existing image with the same content, which links are pointed at instead
+	duplicateOf?: string;
+};
+
+export type PlanDecision =
+	| {isApproved: true; basename: string}
+	| {isApproved: false};
+
+/** Processing in two steps, so several plans can be reviewed at once */
+export type ImagePlanner = {
+	plan: (
+		file: TFile,
+		options?: ProcessOptions,
+	) => Promise<ProcessPlan | ProcessResult>;
+	commit: (
+		plan: ProcessPlan,
+		options?: ProcessOptions,
+	) => Promise<ProcessResult>;
+	discard: (plan: ProcessPlan) => Promise<void>;
+};
+
+export type ProcessFile = (
+	file: TFile,
+	options?: ProcessOptions,
+) => Promise<ProcessResult>;
@@ -0,0 +1,66 @@
+import {type App, normalizePath, type TFile} from 'obsidian';
+
+export function isImage(
+	file: Pick<TFile, 'extension'>,
+	extensions: string[],
+): boolean {
+	return extensions.includes(file.extension.toLowerCase());
+}
+
+/** Paths of the notes linking to or embedding `file` */
+export function getBacklinkPaths(app: App, file: TFile): string[] {
+	return Object.entries(app.metadataCache.resolvedLinks)
+		.filter(([, links]) => file.path in links)
+		.map(([sourcePath]) => sourcePath);
+}
+
+/** Join a vault folder path and a filename, the root folder being `/` */
+export function joinPath(folderPath: string, name: string): string {
+	if (!folderPath || folderPath === '/') return normalizePath(name);
+	return normalizePath(`${folderPath}/${name}`);
+}
+
+/** Create a folder and its missing parents */
+export async function ensureFolder(app: App, folderPath: string) {
+	const normalized = normalizePath(folderPath);
+	if (!normalized || normalized === '/') return;
+	if (app.vault.getAbstractFileByPath(normalized)) return;
+
+	const parent = normalized.split('/').slice(0, -1).join('/');
+	await ensureFolder(app, parent);
+	await app.vault.createFolder(normalized);
+}
+
+/**
+ * First path that is not taken, appending a counter before the extension.
+ * The path of `ownFile` counts as free, e.g. when it is renamed in place.
+ */
+export function getAvailableFilePath(
+	app: App,
+	filePath: string,
+	ownFile?: TFile,
+): string {
+	const match = /^(.*?)(\.[^./]+)?$/.exec(filePath);
+	const [, stem, extension = ''] = match ?? [filePath, filePath];
+
+	const find = (counter: number): string => {
+		const candidate =
+			counter > 0 ? `${stem}-${counter}${extension}` : filePath;
+		const existing = app.vault.getAbstractFileByPath(candidate);
+		if (!existing || existing === ownFile) return candidate;
+
+		return find(counter + 1);
+	};
+
+	return find(0);
+}
+
+export function formatSize(bytes: number): string {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function capitalize(text: string): string {
+	return text.charAt(0).toUpperCase() + text.slice(1);
+}
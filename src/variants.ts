@@ -0,0 +1,201 @@
+import {type App, debounce, type TFile} from 'obsidian';
+import {parseList} from './rules.js';
+import {JsonFile} from './storage.js';
+import {joinPath} from './utils.js';
+
+export type VariantSettings = {
+	isVariantsEnabled: boolean;
+	// Comma separated, e.g. `320, 640, 1280`
+	variantWidths: string;
+};
+
+export type Variant = {path: string; width: number; height: number};
+
+/** Resized copies of one optimized image, the main image */
+export type VariantEntry = {
+	width: number;
+	height: number;
+	variants: Variant[];
+};
+
+const MIME_TYPES: Record<string, string> = {
+	webp: 'image/webp',
+	avif: 'image/avif',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	png: 'image/png',
+	gif: 'image/gif',
+};
+
+/** Positive widths, smallest first, without repeats */
+export function parseWidths(value: string): number[] {
+	const widths = parseList(value)
+		.map((entry) => Number.parseInt(entry, 10))
+		.filter((width) => Number.isFinite(width) && width > 0);
+	return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/** `<main>-<width>w.<ext>`, next to the main image */
+export function getVariantPath(main: TFile, width: number): string {
+	return joinPath(
+		main.parent?.path ?? '',
+		`${main.basename}-${width}w.${main.extension}`,
+	);
+}
+
+/**
+ * `<picture>` element with every variant and the main image in `srcset`.
+ * Paths are relative to the main image's folder, where the variants are too.
+ */
+export function buildPictureSnippet(main: TFile, entry: VariantEntry): string {
+	const getName = (path: string) => encodeURI(path.split('/').pop() ?? '');
+	const srcset = [
+		...entry.variants.map(
+			(variant) => `${getName(variant.path)} ${variant.width}w`,
+		),
+		`${getName(main.path)} ${entry.width}w`,
+	].join(', ');
+	const type = MIME_TYPES[main.extension.toLowerCase()] ?? '';
+
+	return [
+		'<picture>',
+		`\t<source type="${type}" srcset="${srcset}" sizes="100vw">`,
+		`\t<img src="${getName(main.path)}" srcset="${srcset}" sizes="100vw" width="${entry.width}" height="${entry.height}" alt="" loading="lazy">`,
+		'</picture>',
+	].join('\n');
+}
+
+/**
+ * Manifest of the variants of each main image, by its path. Renaming or
+ * deleting a main image renames or deletes its variants along with it.
+ */
+export class VariantManifest {
+	private entries = new Map<string, VariantEntry>();
+	private readonly file: JsonFile<Record<string, VariantEntry>>;
+	private readonly requestSave = debounce(
+		() => {
+			this.file
+				.write(Object.fromEntries(this.entries))
+				.catch((error: unknown) => {
+					console.error('Error saving variant manifest:', error);
+				});
+		},
+		2000,
+		true,
+	);
+
+	constructor(
+		private readonly app: App,
+		filePath: string,
+	) {
+		this.file = new JsonFile(app, filePath);
+	}
+
+	async load() {
+		this.entries = new Map(Object.entries((await this.file.read()) ?? {}));
+	}
+
+	get(mainPath: string): VariantEntry | undefined {
+		return this.entries.get(mainPath);
+	}
+
+	set(mainPath: string, entry: VariantEntry) {
+		this.entries.set(mainPath, entry);
+		this.requestSave();
+	}
+
+	/** Remove the entry of a main image, e.g. before its variants are replaced */
+	take(mainPath: string): VariantEntry | undefined {
+		const entry = this.entries.get(mainPath);
+		if (entry) {
+			this.entries.delete(mainPath);
+			this.requestSave();
+		}
+
+		return entry;
+	}
+
+	isVariant(path: string): boolean {
+		for (const entry of this.entries.values()) {
+			if (entry.variants.some((variant) => variant.path === path)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/** Keep the manifest and the variant names in sync with the vault */
+	async onRename(file: TFile, oldPath: string) {
+		const entry = this.take(oldPath);
+		if (entry) {
+			this.set(file.path, entry);
+			await this.renameVariants(file, entry);
+			return;
+		}
+
+		// A variant renamed by hand is still a variant
+		this.updateVariants(oldPath, (variant) => ({
+			...variant,
+			path: file.path,
+		}));
+	}
+
+	async onDelete(path: string) {
+		const entry = this.take(path);
+		if (entry) {
+			await this.deleteVariants(entry);
+			return;
+		}
+
+		this.updateVariants(path, () => undefined);
+	}
+
+	/** Delete the variant files of `entry` */
+	async deleteVariants(entry: VariantEntry, keptPaths: string[] = []) {
+		await Promise.all(
+			entry.variants
+				.filter((variant) => !keptPaths.includes(variant.path))
+				.map(async (variant) => {
+					const file = this.app.vault.getFileByPath(variant.path);
+					if (file) await this.app.fileManager.trashFile(file);
+				}),
+		);
+	}
+
+	private async renameVariants(main: TFile, entry: VariantEntry) {
+		const variants = await Promise.all(
+			entry.variants.map(async (variant) => {
+				const file = this.app.vault.getFileByPath(variant.path);
+				const newPath = getVariantPath(main, variant.width);
+				if (!file || newPath === variant.path) return variant;
+				// Another file took the name, leave the variant where it is
+				if (this.app.vault.getAbstractFileByPath(newPath))
+					return variant;
+
+				await this.app.fileManager.renameFile(file, newPath);
+				return {...variant, path: newPath};
+			}),
+		);
+		this.set(main.path, {...entry, variants});
+	}
+
+	/** Update or, when `update` returns nothing, drop the variant at `path` */
+	private updateVariants(
+		path: string,
+		update: (variant: Variant) => Variant | undefined,
+	) {
+		for (const [mainPath, entry] of this.entries) {
+			const index = entry.variants.findIndex(
+				(variant) => variant.path === path,
+			);
+			if (index === -1) continue;
+
+			const updated = update(entry.variants[index]);
+			const variants = entry.variants.filter((_, i) => i !== index);
+			if (updated) variants.splice(index, 0, updated);
+			this.set(mainPath, {...entry, variants});
+			return;
+		}
+	}
+}
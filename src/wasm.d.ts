@@ -0,0 +1,5 @@
+// Inlined as base64 by the `inline-wasm` plugin in rollup.config.js
+declare module '*.wasm?base64' {
+	const base64: string;
+	export default base64;
+}
@@ -0,0 +1,16 @@
+import {fileURLToPath} from 'node:url';
+import {defineConfig} from 'vitest/config';
+
+export default defineConfig({
+	resolve: {
+		alias: {
+			// The package only ships types
+			obsidian: fileURLToPath(
+				new URL('src/__mocks__/obsidian.ts', import.meta.url),
+			),
+		},
+	},
+	test: {
+		include: ['src/**/*.test.ts'],
+	},
+});
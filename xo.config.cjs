@@ -4,5 +4,14 @@ module.exports = {
 		'capitalized-comments': 'off',
 		'no-new': 'off',
 	},
+	overrides: [
+		{
+			// PNG chunks carry a CRC-32, which is defined on bits
+			files: 'src/metadata.ts',
+			rules: {
+				'no-bitwise': 'off',
+			},
+		},
+	],
 	prettier: true,
 };